@@ -0,0 +1,259 @@
+/**
+ * Бэктест — прогон исторических рынков через мозг агентов
+ *
+ * Шагаем по времени с фиксированным шагом. На каждом шаге агенты видят
+ * рынки, открытые в этот момент (odds из последнего снапшота пулов + уже
+ * сделанные ставки агентов), чат и research на тот момент. Действия
+ * проходят через validateActions, ставки копятся в пулах. Когда рынок
+ * закрывается — расчёт по parimutuel (или рефанд, если аннулирован).
+ *
+ * Формат датасета:
+ * {
+ *   "markets": [{
+ *     "id": 42, "question": "...", "outcomes": ["A", "B"],
+ *     "openedAt": "2026-01-10T12:00:00Z", "closedAt": "2026-01-11T02:00:00Z",
+ *     "status": "resolved" | "voided", "resolvedOutcome": 0,
+ *     "snapshots": [{ "at": "...", "pools": [12.5, 7.5] }],          // пулы в NEAR
+ *     "chat": [{ "at": "...", "account_id": "bob.testnet", "message": "..." }],
+ *     "research": [{ "at": "...", "analysis": "...", "realOdds": { "outcomes": [...], "probabilities": [...] } }]
+ *   }]
+ * }
+ */
+
+import { validateActions } from "../brain/brain.js";
+import { STAKE_ACTIONS } from "../core/positions.js";
+import { parimutuelPayout } from "../utils/parimutuel.js";
+
+const toMs = (t) => (typeof t === "number" ? t : Date.parse(t));
+
+/** Последний элемент с at <= t (массив отсортирован по времени) */
+function latestAt(items, t) {
+  let found = null;
+  for (const it of items || []) {
+    if (toMs(it.at) <= t) found = it;
+    else break;
+  }
+  return found;
+}
+
+/** Детерминированный PRNG (mulberry32): один seed — одни и те же canChat от прогона к прогону */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.dataset — см. формат выше
+ * @param {object[]} opts.configs — конфиги агентов (agents/*.json)
+ * @param {Function} opts.think — async ({ step, at, agents, markets, chatByMarket, researchData }) → { [name]: { actions, reasoning } }
+ * @param {number} [opts.stepMinutes] — шаг симуляции
+ * @param {number} [opts.initialBalance] — стартовый баланс каждого агента (NEAR)
+ * @param {number} [opts.seed] — seed для canChat (chatFrequency): прогон воспроизводим
+ * @param {Function} [opts.log]
+ * @returns {Promise<object>} — отчёт { period, seed, steps, agents: { name: {...} } }
+ */
+export async function runBacktest({ dataset, configs, think, stepMinutes = 60, initialBalance = 20, seed = 1, log = () => {} }) {
+  const markets = (dataset.markets || []).map(m => ({
+    ...m,
+    openedMs: toMs(m.openedAt),
+    closedMs: toMs(m.closedAt),
+    snapshots: [...(m.snapshots || [])].sort((a, b) => toMs(a.at) - toMs(b.at)),
+    chat: [...(m.chat || [])].sort((a, b) => toMs(a.at) - toMs(b.at)),
+    research: [...(m.research || [])].sort((a, b) => toMs(a.at) - toMs(b.at)),
+    settled: false,
+  }));
+  if (markets.length === 0) throw new Error("Датасет пуст: нет рынков");
+
+  const start = Math.min(...markets.map(m => m.openedMs));
+  const end = Math.max(...markets.map(m => m.closedMs));
+  const stepMs = stepMinutes * 60 * 1000;
+  const random = seededRandom(seed);
+
+  // Состояние агентов
+  const state = {};
+  for (const config of configs) {
+    state[config.name] = {
+      config,
+      accountId: `bt-${config.name.toLowerCase()}`,
+      balance: initialBalance,
+      bets: [],        // { marketId, outcome, amount, at, result, pnl }
+      equity: [{ at: start, value: initialBalance }],
+      chats: 0,
+    };
+  }
+
+  /** Пулы рынка в момент t: снапшот толпы + ставки агентов до t */
+  function poolsAt(m, t) {
+    const snap = latestAt(m.snapshots, t);
+    const pools = snap ? [...snap.pools] : m.outcomes.map(() => 0);
+    for (const s of Object.values(state)) {
+      for (const b of s.bets) {
+        if (b.marketId === m.id && b.at <= t) pools[b.outcome] = (pools[b.outcome] || 0) + b.amount;
+      }
+    }
+    return pools;
+  }
+
+  function settle(m) {
+    const pools = poolsAt(m, m.closedMs);
+    const totalPool = pools.reduce((s, p) => s + p, 0);
+
+    for (const s of Object.values(state)) {
+      for (const b of s.bets) {
+        if (b.marketId !== m.id || b.result) continue;
+        if (m.status === "voided") {
+          b.result = "voided";
+          b.pnl = 0;
+          s.balance += b.amount;
+        } else {
+          const won = m.resolvedOutcome === b.outcome;
+          const payout = won ? parimutuelPayout(b.amount, totalPool, pools[b.outcome]) : 0;
+          b.result = won ? "won" : "lost";
+          b.pnl = payout - b.amount;
+          s.balance += payout;
+        }
+      }
+      s.equity.push({ at: m.closedMs, value: equityOf(s) });
+    }
+    m.settled = true;
+  }
+
+  /** Эквити = свободный баланс + ставки в игре по номиналу */
+  const equityOf = (s) => s.balance + s.bets.filter(b => !b.result).reduce((sum, b) => sum + b.amount, 0);
+
+  function statsOf(s) {
+    const won = s.bets.filter(b => b.result === "won").length;
+    const lost = s.bets.filter(b => b.result === "lost").length;
+    const pending = s.bets.filter(b => !b.result).length;
+    const pnl = s.bets.reduce((sum, b) => sum + (b.pnl || 0), 0);
+    const totalBet = s.bets.reduce((sum, b) => sum + b.amount, 0);
+    return { total: s.bets.length, won, lost, pending, pnl, totalBet, winRate: won + lost > 0 ? won / (won + lost) : 0 };
+  }
+
+  let step = 0;
+  for (let t = start; t <= end; t += stepMs, step++) {
+    // Закрываем рынки, время которых вышло
+    for (const m of markets) {
+      if (!m.settled && m.closedMs <= t) settle(m);
+    }
+
+    const active = markets.filter(m => m.openedMs <= t && t < m.closedMs);
+    if (active.length === 0) continue;
+
+    const marketViews = active.map(m => {
+      const pools = poolsAt(m, t);
+      const total = pools.reduce((s, p) => s + p, 0);
+      return {
+        id: m.id,
+        question: m.question,
+        outcomes: m.outcomes,
+        status: "active",
+        totalPool: total,
+        odds: total > 0 ? pools.map(p => p / total) : pools.map(() => 1 / pools.length),
+      };
+    });
+
+    const chatByMarket = {};
+    const researchData = {};
+    for (const m of active) {
+      chatByMarket[m.id] = m.chat.filter(c => toMs(c.at) <= t).slice(-10);
+      const r = latestAt(m.research, t);
+      if (r) researchData[m.id] = { researcher: r.researcher || "dataset", ...r };
+    }
+
+    const agents = Object.values(state).map(s => ({
+      config: s.config,
+      accountId: s.accountId,
+      balance: s.balance,
+      myBets: s.bets.filter(b => !b.result).map(b => ({
+        market_id: b.marketId, outcome: b.outcome, amount_near: b.amount, odds_at_bet: b.odds,
+      })),
+      stats: statsOf(s),
+      canChat: random() < (s.config.chatFrequency ?? 0.5),
+    }));
+
+    const at = new Date(t).toISOString();
+    let result;
+    try {
+      result = await think({ step, at, agents, markets: marketViews, chatByMarket, researchData });
+    } catch (err) {
+      log(`[${at}] Шаг ${step}: ошибка мозга — ${err.message}`);
+      continue;
+    }
+
+    for (const a of agents) {
+      const s = state[a.config.name];
+      const raw = result?.[a.config.name]?.actions || [];
+      const actions = validateActions(raw, marketViews, s.balance, s.config, { canChat: a.canChat, myBets: a.myBets });
+
+      for (const action of actions) {
+        if (STAKE_ACTIONS.includes(action.type)) {
+          const odds = marketViews.find(m => m.id === action.marketId)?.odds[action.outcome] ?? null;
+          s.balance -= action.amount;
+          s.bets.push({
+            marketId: action.marketId, outcome: action.outcome, amount: action.amount, odds,
+            kind: action.type, at: t, result: null, pnl: 0,
+          });
+          log(`[${at}] ${a.config.name}: ${action.type.toUpperCase()} ${action.amount} NEAR #${action.marketId} → ${action.outcome}`);
+        } else {
+          s.chats++;
+        }
+      }
+    }
+  }
+
+  // Рынки, закрывшиеся после последнего шага
+  for (const m of markets) {
+    if (!m.settled) settle(m);
+  }
+
+  return {
+    period: { from: new Date(start).toISOString(), to: new Date(end).toISOString(), stepMinutes },
+    seed,
+    steps: step,
+    agents: Object.fromEntries(Object.values(state).map(s => [s.config.name, summarize(s, initialBalance)])),
+  };
+}
+
+/** Итог по агенту: P&L, ROI, hit rate, max drawdown */
+function summarize(s, initialBalance) {
+  const settled = s.bets.filter(b => b.result === "won" || b.result === "lost");
+  const won = settled.filter(b => b.result === "won").length;
+  const staked = settled.reduce((sum, b) => sum + b.amount, 0);
+  const pnl = s.bets.reduce((sum, b) => sum + (b.pnl || 0), 0);
+
+  // Max drawdown по кривой эквити (от пика)
+  let peak = initialBalance;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  for (const { value } of s.equity) {
+    if (value > peak) peak = value;
+    const dd = peak - value;
+    if (dd > maxDrawdown) {
+      maxDrawdown = dd;
+      maxDrawdownPct = peak > 0 ? dd / peak : 0;
+    }
+  }
+
+  return {
+    bets: s.bets.length,
+    won,
+    lost: settled.length - won,
+    voided: s.bets.filter(b => b.result === "voided").length,
+    chats: s.chats,
+    staked,
+    pnl,
+    roi: staked > 0 ? pnl / staked : 0,
+    hitRate: settled.length > 0 ? won / settled.length : 0,
+    maxDrawdown,
+    maxDrawdownPct,
+    finalBalance: s.balance,
+  };
+}
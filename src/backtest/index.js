@@ -0,0 +1,100 @@
+/**
+ * Бэктест — CLI
+ *
+ *   npm run backtest -- --data src/backtest/sample-history.json
+ *   npm run backtest -- --data history.json --agents agents/shark.json,agents/luna.json --step 30
+ *   npm run backtest -- --data history.json --record run.json     (живой thinkAll + запись ответов)
+ *   npm run backtest -- --data history.json --replay run.json     (без LLM — по записанным ответам)
+ *   npm run backtest -- --data history.json --out report.json
+ *   npm run backtest -- --data history.json --replay run.json --seed 7   (другой seed для canChat)
+ */
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { thinkAll } from "../brain/brain.js";
+import { runBacktest } from "./engine.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const argValue = (flag) => {
+  const i = args.indexOf(flag);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+
+const dataPath = argValue("--data");
+if (!dataPath) {
+  console.error("\n  Использование: npm run backtest -- --data history.json [--agents a.json,b.json] [--step 60] [--balance 20] [--seed 1] [--record file | --replay file] [--out report.json]\n");
+  process.exit(1);
+}
+
+const dataset = JSON.parse(fs.readFileSync(dataPath, "utf8"));
+
+const agentPaths = argValue("--agents")
+  ? argValue("--agents").split(",").map(p => path.resolve(p.trim()))
+  : fs.readdirSync(path.resolve("agents")).filter(f => f.endsWith(".json")).map(f => path.resolve("agents", f));
+const configs = agentPaths.map(p => JSON.parse(fs.readFileSync(p, "utf8")));
+
+const replayPath = argValue("--replay");
+const recordPath = argValue("--record");
+
+// ── Источник решений: запись или живой thinkAll ──
+
+let think;
+const recorded = [];
+
+if (replayPath) {
+  const replay = JSON.parse(fs.readFileSync(replayPath, "utf8"));
+  const byStep = new Map(replay.map(r => [r.step, r.result]));
+  think = async ({ step }) => byStep.get(step) || {};
+} else {
+  if (!process.env.VENICE_API_KEY) {
+    console.error("  ✗ VENICE_API_KEY не задан (или используй --replay)");
+    process.exit(1);
+  }
+  think = async ({ step, at, agents, markets, chatByMarket, researchData }) => {
+    const result = await thinkAll(process.env.VENICE_API_KEY, { agents, markets, chatByMarket, researchData });
+    recorded.push({ step, at, result });
+    return result;
+  };
+}
+
+console.log(`\n  Бэктест: ${dataset.markets?.length || 0} рынков, ${configs.length} агентов${replayPath ? " (replay)" : ""}\n`);
+
+const report = await runBacktest({
+  dataset,
+  configs,
+  think,
+  stepMinutes: Number(argValue("--step") || 60),
+  initialBalance: Number(argValue("--balance") || 20),
+  seed: Number(argValue("--seed") || 1),
+  log: args.includes("--verbose") ? console.log : () => {},
+});
+
+if (recordPath) {
+  fs.writeFileSync(recordPath, JSON.stringify(recorded, null, 2));
+  console.log(`  Ответы записаны: ${recordPath} (${recorded.length} шагов)`);
+}
+
+// ── Отчёт ──
+
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+const signed = (v) => `${v >= 0 ? "+" : ""}${v.toFixed(2)}`;
+
+console.log(`  Период: ${report.period.from} → ${report.period.to} (шаг ${report.period.stepMinutes} мин, ${report.steps} шагов, seed ${report.seed})\n`);
+console.log(`  ${"Агент".padEnd(10)} ${"Ставок".padStart(6)} ${"W/L/V".padStart(9)} ${"Объём".padStart(8)} ${"P&L".padStart(8)} ${"ROI".padStart(7)} ${"Hit".padStart(6)} ${"MaxDD".padStart(14)}`);
+for (const [name, r] of Object.entries(report.agents)) {
+  console.log(
+    `  ${name.padEnd(10)} ${String(r.bets).padStart(6)} ${`${r.won}/${r.lost}/${r.voided}`.padStart(9)} ` +
+    `${r.staked.toFixed(2).padStart(8)} ${signed(r.pnl).padStart(8)} ${pct(r.roi).padStart(7)} ${pct(r.hitRate).padStart(6)} ` +
+    `${`${r.maxDrawdown.toFixed(2)} (${pct(r.maxDrawdownPct)})`.padStart(14)}`
+  );
+}
+console.log("");
+
+const outPath = argValue("--out");
+if (outPath) {
+  fs.writeFileSync(outPath, JSON.stringify(report, null, 2));
+  console.log(`  Отчёт: ${outPath}\n`);
+}
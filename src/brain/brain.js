@@ -5,15 +5,19 @@
  * think() — один LLM-вызов за одного агента (legacy, не используется).
  */
 
-import { callLLMJson } from "../utils/venice.js";
+import { callLLMJson } from "../utils/llm.js";
+import { buildRouteChain } from "../utils/llm-providers.js";
+import { thinkSchema, thinkAllSchema, checkActions, checkThinkAll } from "./schemas.js";
+import { STAKE_ACTIONS, aggregatePositions, positionsByMarket } from "../core/positions.js";
 
 /**
  * Один "такт мышления" агента
  *
  * @param {object} ctx
- * @param {string} ctx.apiKey — Venice API key
+ * @param {string} ctx.apiKey — Venice API key (провайдер по умолчанию)
  * @param {object} ctx.config — конфиг агента (personality, strategy, model, ...)
- * @param {object[]} ctx.markets — активные рынки с odds
+ * @param {object[]} ctx.markets — рынки цикла с odds (выбранные селектором)
+ * @param {number} [ctx.totalMarkets] — всего активных рынков
  * @param {object} ctx.chatByMarket — { marketId: [messages] }
  * @param {object} ctx.myBets — текущие ставки агента (from memory)
  * @param {object} ctx.stats — статистика агента (P&L, winRate, ...)
@@ -22,25 +26,29 @@ import { callLLMJson } from "../utils/venice.js";
  * @returns {{ actions: Array<{type, marketId, outcome?, amount?, message?, replyTo?}> }}
  */
 export async function think(ctx) {
-  const { apiKey, config, markets, chatByMarket, myBets, stats, balance, accountId, researchData } = ctx;
+  const { apiKey, config, markets, totalMarkets, chatByMarket, myBets, stats, balance, accountId, researchData } = ctx;
 
   // Формируем системный промпт из конфига агента
   const system = buildSystemPrompt(config, accountId);
 
   // Формируем контекст ситуации (с данными исследований)
-  const prompt = buildSituationPrompt({ markets, chatByMarket, myBets, stats, balance, config, researchData });
+  const prompt = buildSituationPrompt({ markets, totalMarkets, chatByMarket, myBets, stats, balance, config, researchData });
 
   const result = await callLLMJson(apiKey, {
     model: config.model || "llama-3.3-70b",
+    chain: buildRouteChain(config),
+    usageTag: { purpose: "think", agent: config.name },
     system,
     prompt,
     temperature: config.temperature || 0.8,
     maxTokens: 1500,
+    schema: thinkSchema,
+    check: (r) => checkActions(r.actions, markets, "actions"),
   });
 
   // Валидируем и фильтруем действия
   const rawActions = result.actions || [];
-  const actions = validateActions(rawActions, markets, balance, config);
+  const actions = validateActions(rawActions, markets, balance, config, { myBets });
 
   // Диагностика: если LLM предложил действия, но валидация их отсеяла
   if (rawActions.length > 0 && actions.length === 0) {
@@ -54,26 +62,36 @@ export async function think(ctx) {
 /**
  * Один LLM-вызов за ВСЕХ агентов (оркестратор)
  *
- * @param {string} apiKey — Venice API key
+ * @param {string} apiKey — Venice API key (провайдер по умолчанию)
  * @param {object} ctx
- * @param {object[]} ctx.agents — [{config, accountId, balance, myBets, stats}]
- * @param {object[]} ctx.markets — активные рынки
+ * @param {object[]} ctx.agents — [{config, accountId, balance, myBets, stats, canChat, canBet}]
+ * @param {object[]} ctx.markets — рынки цикла (выбранные селектором)
+ * @param {number} [ctx.totalMarkets] — всего активных рынков
  * @param {object} ctx.chatByMarket
  * @param {object} ctx.researchData
+ * @param {object} [ctx.oddsMovement] — { marketId: движение цены } из odds-history.js
+ * @param {boolean} [ctx.cheap] — бюджет LLM на исходе: дешёвая модель (cheapModel)
+ * @param {number} [ctx.cycle] — номер цикла оркестратора (для учёта расходов)
  * @returns {Object<string, {actions, reasoning}>} — ключ = имя агента
  */
 export async function thinkAll(apiKey, ctx) {
-  const { agents, markets, chatByMarket, researchData } = ctx;
+  const { agents, markets, totalMarkets, chatByMarket, researchData, oddsMovement, cheap = false, cycle = null } = ctx;
 
   const system = buildAllAgentsSystemPrompt(agents);
-  const prompt = buildAllAgentsSituationPrompt({ agents, markets, chatByMarket, researchData });
+  const prompt = buildAllAgentsSituationPrompt({ agents, markets, totalMarkets, chatByMarket, researchData, oddsMovement });
+  const agentNames = agents.map(a => a.config.name);
 
+  // Провайдер и модель общего вызова — из конфига первого агента (+ его fallbacks)
   const result = await callLLMJson(apiKey, {
     model: agents[0]?.config.model || "llama-3.3-70b",
+    chain: agents[0] ? buildRouteChain(agents[0].config, cheap ? "cheap" : "think") : undefined,
+    usageTag: { purpose: "thinkAll", agent: agentNames.join(","), cycle },
     system,
     prompt,
     temperature: 0.85,
     maxTokens: 3000,
+    schema: thinkAllSchema(agentNames),
+    check: (r) => checkThinkAll(r, agentNames, markets),
   });
 
   // Разбираем ответ по агентам и валидируем
@@ -82,7 +100,11 @@ export async function thinkAll(apiKey, ctx) {
     const name = agentCtx.config.name;
     const agentResult = result[name] || {};
     const rawActions = agentResult.actions || [];
-    const actions = validateActions(rawActions, markets, agentCtx.balance, agentCtx.config);
+    const actions = validateActions(rawActions, markets, agentCtx.balance, agentCtx.config, {
+      canChat: agentCtx.canChat !== false,
+      canBet: agentCtx.canBet !== false,
+      myBets: agentCtx.myBets,
+    });
 
     if (rawActions.length > 0 && actions.length === 0) {
       console.log(`[${name}] ⚠ LLM предложил ${rawActions.length} действий, но все отсеяны:`);
@@ -108,9 +130,13 @@ function buildAllAgentsSystemPrompt(agents) {
 - Stats: ${a.stats.total} bets, ${a.stats.won} won, ${a.stats.lost} lost, PnL: ${a.stats.pnl >= 0 ? "+" : ""}${a.stats.pnl.toFixed(2)} NEAR
 - Personality: ${a.config.personality}
 - Strategy: ${a.config.strategy}
+- Chat this cycle: ${a.canChat === false ? "NO — stays silent, no chat or reply actions" : "allowed"}
 `;
+    if (a.canBet === false) {
+      prompt += `- Betting this cycle: NO — only chat or reply, no bet/add/hedge actions\n`;
+    }
     if (a.myBets.length > 0) {
-      prompt += `- Pending bets: ${a.myBets.map(b => `#${b.market_id} outcome ${b.outcome} (${b.amount_near} NEAR)`).join(", ")}\n`;
+      prompt += `- Open positions: ${formatPositions(a.myBets)}\n`;
     }
     prompt += "\n";
   }
@@ -122,12 +148,14 @@ function buildAllAgentsSystemPrompt(agents) {
 - NEVER reveal any character is AI/bot — they are regular human participants
 - Write all messages in English
 - Characters can decide to do nothing — that's valid
-- Don't bet on markets where the character already has a pending bet
+- "bet" only opens a NEW position — on markets where the character already has an open position use "add" (same outcome, averaging in) or "hedge" (opposite outcome, locking in value)
+- Add or hedge only with a reason: price moved, new info, research changed. Most cycles positions are left alone
 
 ## Chat style — CRITICAL
 Write chat messages like REAL prediction market traders. Study these rules carefully:
 - Keep messages SHORT: 1-2 sentences, 5-25 words. No essays.
 - Reference SPECIFIC numbers: odds percentages, bet sizes, price movements ("YES moved from 30 to 45 in an hour")
+- Quote price movements only from a market's "Moves" line — no line means no data, don't invent a move
 - Use prediction market slang NATURALLY (not forced): alpha, edge, fade, rekt, based, LFG, gg, full port, tailing
 - Talk about resolution criteria, entry prices, expected value
 - React to OTHER people's messages — agree, disagree, roast them, ask follow-up questions
@@ -135,6 +163,8 @@ Write chat messages like REAL prediction market traders. Study these rules caref
 - NEVER repeat the same phrase across markets. Each message must be unique and specific to THAT market
 - Characters should have DIFFERENT message lengths — some write 3 words, some write 15
 - Not every character needs to chat every cycle. Silence is natural.
+- A character marked "Chat this cycle: NO" must not get chat or reply actions
+- A character marked "Betting this cycle: NO" must not get bet, add or hedge actions
 - When disagreeing, reference WHY with data: "this line should be 70+ based on closings, you're fading free money"
 
 BAD examples (never write like this):
@@ -156,6 +186,8 @@ Respond with strict JSON — one entry per character:
     "reasoning": "Brief explanation (1-2 sentences)",
     "actions": [
       { "type": "bet", "marketId": 5, "outcome": 0, "amount": 1.5, "reason": "why" },
+      { "type": "add", "marketId": 7, "outcome": 1, "amount": 0.5, "reason": "why add to the position" },
+      { "type": "hedge", "marketId": 2, "outcome": 0, "amount": 1, "reason": "why hedge" },
       { "type": "chat", "marketId": 5, "message": "chat message" },
       { "type": "reply", "marketId": 3, "replyTo": 42, "message": "reply text" }
     ]
@@ -166,13 +198,40 @@ Respond with strict JSON — one entry per character:
   return prompt;
 }
 
-/** Ситуационный промпт для оркестратора — рынки (общие для всех) */
-function buildAllAgentsSituationPrompt({ agents, markets, chatByMarket, researchData }) {
-  let prompt = `## Active Markets (${markets.length}):\n\n`;
+/** Движение ниже порога (п.п.) в промпт не идёт — шум */
+const MOVE_MIN_CHANGE = 0.02;
+
+const pts = (p) => (p * 100).toFixed(0);
+const duration = (minutes) => (minutes < 90 ? `${minutes} min` : `${(minutes / 60).toFixed(minutes < 600 ? 1 : 0)}h`);
+
+/**
+ * Строка движения цены рынка: "1h: YES 30%→45% (+15 in 58 min); ⚡ sudden: ..."
+ * @returns {string|null} — null, если двигаться нечему (нет истории или всё в пределах шума)
+ */
+function formatOddsMovement(movement, outcomes) {
+  if (!movement) return null;
+  const parts = [];
+  for (const [label, w] of Object.entries(movement.windows)) {
+    if (!w) continue;
+    if (Math.abs(w.change) < MOVE_MIN_CHANGE) {
+      parts.push(`${label}: flat`);
+      continue;
+    }
+    const sign = w.change > 0 ? "+" : "";
+    parts.push(`${label}: ${outcomes[w.outcome]} ${pts(w.from)}%→${pts(w.to)}% (${sign}${pts(w.change)} in ${duration(w.minutes)})`);
+  }
+  const s = movement.sudden;
+  if (s) {
+    parts.push(`⚡ sudden: ${outcomes[s.outcome]} ${pts(s.from)}%→${pts(s.to)}% within ${duration(s.minutes)}, ${duration(s.agoMinutes)} ago`);
+  }
+  return parts.length > 0 ? parts.join("; ") : null;
+}
 
-  const marketsToShow = markets.slice(0, 8);
+/** Ситуационный промпт для оркестратора — рынки (общие для всех) */
+function buildAllAgentsSituationPrompt({ agents, markets, totalMarkets = markets.length, chatByMarket, researchData, oddsMovement = {} }) {
+  let prompt = `## Active Markets (${totalMarkets}):\n\n`;
 
-  for (const m of marketsToShow) {
+  for (const m of markets) {
     prompt += `### Market #${m.id}: "${m.question || m.description}"\n`;
     prompt += `Outcomes: ${m.outcomes.map((o, i) => `[${i}] ${o}`).join(", ")}\n`;
 
@@ -181,6 +240,9 @@ function buildAllAgentsSituationPrompt({ agents, markets, chatByMarket, research
       prompt += `Odds: ${oddsStr}\n`;
     }
 
+    const moves = formatOddsMovement(oddsMovement[m.id], m.outcomes);
+    if (moves) prompt += `Moves: ${moves}\n`;
+
     const research = researchData?.[m.id];
     if (research) {
       prompt += `📊 Research (by ${research.researcher}): ${research.analysis}\n`;
@@ -207,8 +269,8 @@ function buildAllAgentsSituationPrompt({ agents, markets, chatByMarket, research
     prompt += "\n";
   }
 
-  if (markets.length > marketsToShow.length) {
-    prompt += `... and ${markets.length - marketsToShow.length} more markets\n\n`;
+  if (totalMarkets > markets.length) {
+    prompt += `... and ${totalMarkets - markets.length} more markets (not in focus this cycle)\n\n`;
   }
 
   prompt += "What does each character do? Respond JSON.";
@@ -232,7 +294,7 @@ ${config.strategy}
 - NEVER say you are AI/bot. You are a regular participant with opinions
 - Write in English
 - You can decide to do nothing — that's a valid choice
-- Don't bet on markets where you already have bets (unless strategy says otherwise)
+- "bet" only opens a NEW position — where you already have one, use "add" (same outcome) or "hedge" (opposite outcome)
 
 ## Response format
 Respond with strict JSON:
@@ -240,6 +302,8 @@ Respond with strict JSON:
   "reasoning": "Brief explanation of your thinking (1-2 sentences)",
   "actions": [
     { "type": "bet", "marketId": 5, "outcome": 0, "amount": 1.5, "reason": "why" },
+    { "type": "add", "marketId": 7, "outcome": 1, "amount": 0.5, "reason": "why" },
+    { "type": "hedge", "marketId": 2, "outcome": 0, "amount": 1, "reason": "why" },
     { "type": "chat", "marketId": 5, "message": "chat message text" },
     { "type": "reply", "marketId": 3, "replyTo": 42, "message": "reply to message" }
   ]
@@ -249,7 +313,7 @@ If you decide to do nothing:
 { "reasoning": "reason", "actions": [] }`;
 }
 
-function buildSituationPrompt({ markets, chatByMarket, myBets, stats, balance, config, researchData }) {
+function buildSituationPrompt({ markets, totalMarkets = markets.length, chatByMarket, myBets, stats, balance, config, researchData }) {
   let prompt = `## Your balance: ${balance.toFixed(2)} NEAR\n`;
   prompt += `## Your stats: ${stats.total} bets, ${stats.won} won, ${stats.lost} lost, PnL: ${stats.pnl >= 0 ? "+" : ""}${stats.pnl.toFixed(2)} NEAR, winrate: ${(stats.winRate * 100).toFixed(0)}%\n\n`;
 
@@ -258,11 +322,9 @@ function buildSituationPrompt({ markets, chatByMarket, myBets, stats, balance, c
     return prompt;
   }
 
-  prompt += `## Active Markets (${markets.length}):\n\n`;
+  prompt += `## Active Markets (${totalMarkets}):\n\n`;
 
-  const marketsToShow = markets.slice(0, 8);
-
-  for (const m of marketsToShow) {
+  for (const m of markets) {
     const myBetsOnMarket = myBets.filter(b => b.market_id === m.id);
     const hasBet = myBetsOnMarket.length > 0;
 
@@ -287,7 +349,7 @@ function buildSituationPrompt({ markets, chatByMarket, myBets, stats, balance, c
     }
 
     if (hasBet) {
-      prompt += `Your bets: ${myBetsOnMarket.map(b => `${b.amount_near} NEAR on "${m.outcomes[b.outcome]}"`).join(", ")}\n`;
+      prompt += `Your position: ${formatPositions(myBetsOnMarket, m)}\n`;
     }
 
     const chat = chatByMarket[m.id] || [];
@@ -302,19 +364,36 @@ function buildSituationPrompt({ markets, chatByMarket, myBets, stats, balance, c
     prompt += "\n";
   }
 
-  if (markets.length > marketsToShow.length) {
-    prompt += `... and ${markets.length - marketsToShow.length} more markets\n\n`;
+  if (totalMarkets > markets.length) {
+    prompt += `... and ${totalMarkets - markets.length} more markets (not in focus this cycle)\n\n`;
   }
 
   prompt += "What do you do? Respond JSON.";
   return prompt;
 }
 
-function validateActions(actions, markets, balance, config) {
+/** Позиции строкой: "#5 outcome 0: 2.5 NEAR, avg entry 42% (2 entries)" */
+function formatPositions(bets, market = null) {
+  return aggregatePositions(bets).map(p => {
+    const what = market ? `"${market.outcomes[p.outcome]}"` : `#${p.marketId} outcome ${p.outcome}`;
+    const entry = p.avgOdds != null ? `, avg entry ${(p.avgOdds * 100).toFixed(0)}%` : "";
+    return `${what}: ${+p.amount.toFixed(2)} NEAR${entry} (${p.entries} ${p.entries === 1 ? "entry" : "entries"})`;
+  }).join(", ");
+}
+
+/**
+ * Валидация и нормализация действий от LLM
+ * @param {object} [opts]
+ * @param {boolean} [opts.canChat] — false: chat/reply отбрасываются (chatFrequency, режим bet-only)
+ * @param {boolean} [opts.canBet] — false: bet/add/hedge отбрасываются (режим chat-only)
+ * @param {object[]} [opts.myBets] — pending ставки агента (для add/hedge)
+ */
+export function validateActions(actions, markets, balance, config, { canChat = true, canBet = true, myBets = [] } = {}) {
   if (!Array.isArray(actions)) return [];
 
   const maxBet = config.maxBetNear || 2;
-  const validMarketIds = new Set(markets.map(m => m.id));
+  const marketsById = new Map(markets.map(m => [m.id, m]));
+  const held = positionsByMarket(aggregatePositions(myBets));
   let totalBet = 0;
 
   return actions.filter(a => {
@@ -325,10 +404,36 @@ function validateActions(actions, markets, balance, config) {
     if (a.outcome != null) a.outcome = Number(a.outcome);
     if (a.amount != null) a.amount = Number(a.amount);
 
-    if (a.type === "bet") {
-      if (!validMarketIds.has(a.marketId)) return false;
-      if (typeof a.outcome !== "number" || isNaN(a.outcome) || a.outcome < 0) return false;
+    if (STAKE_ACTIONS.includes(a.type)) {
+      if (!canBet) return false;
+      const market = marketsById.get(a.marketId);
+      if (!market) return false;
       if (typeof a.amount !== "number" || isNaN(a.amount) || a.amount <= 0) return false;
+
+      // Позиция на рынке уже есть — bet становится add (тот же исход) или hedge (другой)
+      const legs = held[a.marketId] || [];
+      if (a.type === "bet" && legs.length > 0 && a.outcome != null) {
+        a.type = legs.some(p => p.outcome === a.outcome) ? "add" : "hedge";
+      }
+
+      if (a.type === "add") {
+        if (legs.length === 0) return false;
+        if (a.outcome == null && legs.length === 1) a.outcome = legs[0].outcome;
+        if (!legs.some(p => p.outcome === a.outcome)) return false;
+      }
+
+      if (a.type === "hedge") {
+        if (legs.length === 0) return false;
+        const main = legs.reduce((x, y) => (y.amount > x.amount ? y : x));
+        // В бинарном рынке противоположный исход однозначен
+        if (a.outcome == null && market.outcomes?.length === 2) a.outcome = 1 - main.outcome;
+        if (a.outcome === main.outcome) return false;
+        // Хедж не больше самой позиции
+        if (a.amount > main.amount) a.amount = main.amount;
+      }
+
+      if (typeof a.outcome !== "number" || !Number.isInteger(a.outcome) || a.outcome < 0) return false;
+      if (a.outcome >= (market.outcomes?.length || 0)) return false;
       if (a.amount > maxBet) a.amount = maxBet;
       if (totalBet + a.amount > balance) return false;
       totalBet += a.amount;
@@ -336,7 +441,8 @@ function validateActions(actions, markets, balance, config) {
     }
 
     if (a.type === "chat" || a.type === "reply") {
-      if (!validMarketIds.has(a.marketId)) return false;
+      if (!canChat) return false;
+      if (!marketsById.has(a.marketId)) return false;
       if (!a.message || typeof a.message !== "string") return false;
       if (a.message.length > 500) a.message = a.message.slice(0, 500);
       return true;
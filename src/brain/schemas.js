@@ -0,0 +1,128 @@
+/**
+ * JSON-схемы ответов LLM — thinkAll, think, research
+ *
+ * Схема ловит структуру (типы, обязательные поля), а check*-функции —
+ * то, что зависит от текущих рынков: существует ли рынок, не выходит ли
+ * индекс исхода за market.outcomes.length, есть ли поля под тип действия.
+ */
+
+import { STAKE_ACTIONS } from "../core/positions.js";
+
+// marketId/outcome/replyTo: LLM часто отдаёт числа строками — это терпимо, validateActions приведёт
+const numericId = { type: ["integer", "string"], pattern: "^\\d+$" };
+
+export const actionSchema = {
+  type: "object",
+  required: ["type", "marketId"],
+  properties: {
+    type: { enum: ["bet", "add", "hedge", "chat", "reply"] },
+    marketId: numericId,
+    outcome: numericId,
+    amount: { type: ["number", "string"] },
+    message: { type: "string", minLength: 1 },
+    replyTo: numericId,
+    reason: { type: "string" },
+  },
+};
+
+/** Ответ одного персонажа: { reasoning, actions } */
+export const thinkSchema = {
+  type: "object",
+  required: ["actions"],
+  properties: {
+    reasoning: { type: "string" },
+    actions: { type: "array", items: actionSchema },
+  },
+};
+
+/** Ответ thinkAll: ключ на каждого агента */
+export function thinkAllSchema(agentNames) {
+  return {
+    type: "object",
+    required: agentNames,
+    properties: Object.fromEntries(agentNames.map(name => [name, thinkSchema])),
+  };
+}
+
+export const researchSchema = {
+  type: "object",
+  required: ["realOdds", "analysis"],
+  properties: {
+    realOdds: {
+      type: "object",
+      required: ["outcomes", "probabilities"],
+      properties: {
+        outcomes: { type: "array", items: { type: "string" } },
+        probabilities: { type: "array", items: { type: "number", minimum: 0, maximum: 1 } },
+      },
+    },
+    analysis: { type: "string" },
+    sources: { type: ["string", "array"] },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+  },
+};
+
+/**
+ * Проверка действий против текущих рынков
+ * @param {object[]} actions
+ * @param {object[]} markets
+ * @param {string} path — префикс для сообщений ("Luna.actions")
+ * @returns {string[]}
+ */
+export function checkActions(actions, markets, path) {
+  if (!Array.isArray(actions)) return [];
+  const marketsById = Object.fromEntries(markets.map(m => [m.id, m]));
+  const errors = [];
+
+  actions.forEach((a, i) => {
+    const at = `${path}[${i}]`;
+    if (!a || typeof a !== "object") return;
+
+    const market = marketsById[Number(a.marketId)];
+    if (a.marketId != null && !market) {
+      errors.push(`${at}.marketId: рынка #${a.marketId} нет среди показанных`);
+    }
+
+    if (STAKE_ACTIONS.includes(a.type)) {
+      const outcome = Number(a.outcome);
+      // add/hedge без outcome — validateActions выведет исход из позиции
+      if (a.outcome == null ? a.type === "bet" : !Number.isInteger(outcome)) {
+        errors.push(`${at}.outcome: нужен индекс исхода (число), получено ${JSON.stringify(a.outcome)}`);
+      } else if (market && (outcome < 0 || outcome >= market.outcomes.length)) {
+        errors.push(`${at}.outcome: ${outcome} вне диапазона — у рынка #${market.id} исходы 0..${market.outcomes.length - 1}`);
+      }
+      const amount = Number(a.amount);
+      if (a.amount == null || !Number.isFinite(amount) || amount <= 0) {
+        errors.push(`${at}.amount: нужна положительная сумма в NEAR, получено ${JSON.stringify(a.amount)}`);
+      }
+    }
+
+    if ((a.type === "chat" || a.type === "reply") && (typeof a.message !== "string" || !a.message)) {
+      errors.push(`${at}.message: пустое сообщение`);
+    }
+    if (a.type === "reply" && a.replyTo == null) {
+      errors.push(`${at}.replyTo: нужен id сообщения`);
+    }
+  });
+
+  return errors;
+}
+
+/** Полная проверка ответа thinkAll: схема + рынки */
+export function checkThinkAll(result, agentNames, markets) {
+  const errors = [];
+  for (const name of agentNames) {
+    errors.push(...checkActions(result?.[name]?.actions, markets, `${name}.actions`));
+  }
+  return errors;
+}
+
+/** Research: вероятностей столько же, сколько исходов */
+export function checkResearch(result) {
+  const odds = result?.realOdds;
+  if (!odds || !Array.isArray(odds.outcomes) || !Array.isArray(odds.probabilities)) return [];
+  if (odds.outcomes.length !== odds.probabilities.length) {
+    return [`realOdds: ${odds.outcomes.length} исходов, но ${odds.probabilities.length} вероятностей`];
+  }
+  return [];
+}
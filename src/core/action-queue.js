@@ -0,0 +1,158 @@
+/**
+ * Очередь действий агента — SQLite, переживает рестарт
+ *
+ * Решения мозга сначала пишутся сюда, потом исполняются (Agent.processQueue).
+ * Статусы: pending → in-flight → done | failed | expired.
+ *
+ * Если процесс упал посреди исполнения, действие остаётся in-flight —
+ * при старте Agent.recoverQueue сверяет его с блокчейном (getUserBets)
+ * и только потом решает: done (ставка дошла) или снова pending.
+ * Упавшая попытка ставки помечается needs_confirm — перед повтором та же сверка,
+ * так что одна ставка не уходит дважды.
+ *
+ * Каждый агент — своя очередь в data/{name}/queue.db.
+ */
+
+import Database from "better-sqlite3";
+
+export const ACTION_TTL_MS = 20 * 60_000; // решение старше — odds уже другие, не исполняем
+export const MAX_ATTEMPTS = 3;
+
+export function createActionQueue(dbPath) {
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cycle INTEGER,
+      type TEXT NOT NULL,
+      market_id INTEGER,
+      payload TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      needs_confirm INTEGER DEFAULT 0,
+      not_before INTEGER DEFAULT 0,   -- мс, раньше не исполнять (backoff)
+      expires_at INTEGER NOT NULL,    -- мс
+      started_at INTEGER,             -- мс, начало последней попытки
+      last_error TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_actions_status ON actions(status);
+  `);
+
+  const setStatus = db.prepare(
+    "UPDATE actions SET status = ?, last_error = COALESCE(?, last_error), updated_at = datetime('now') WHERE id = ?"
+  );
+
+  const toItem = (row) => ({ ...row, action: JSON.parse(row.payload) });
+
+  return {
+    /**
+     * Поставить действия в очередь (одной транзакцией)
+     * @param {object[]} actions
+     * @param {object} [opts]
+     * @param {number} [opts.cycle]
+     * @param {number} [opts.ttlMs]
+     * @returns {number} — сколько добавлено
+     */
+    enqueue(actions, { cycle = null, ttlMs = ACTION_TTL_MS } = {}) {
+      const insert = db.prepare(
+        "INSERT INTO actions (cycle, type, market_id, payload, expires_at) VALUES (?, ?, ?, ?, ?)"
+      );
+      const expiresAt = Date.now() + ttlMs;
+      db.transaction(() => {
+        for (const a of actions) insert.run(cycle, a.type, a.marketId ?? null, JSON.stringify(a), expiresAt);
+      })();
+      return actions.length;
+    },
+
+    /** Просроченные pending → expired; возвращает их (для лога) */
+    expireStale(now = Date.now()) {
+      const rows = db.prepare("SELECT * FROM actions WHERE status = 'pending' AND expires_at <= ?").all(now);
+      for (const r of rows) setStatus.run("expired", null, r.id);
+      return rows.map(toItem);
+    },
+
+    /** Следующее готовое к исполнению действие (или null) */
+    nextReady(now = Date.now()) {
+      const row = db.prepare(
+        "SELECT * FROM actions WHERE status = 'pending' AND not_before <= ? AND expires_at > ? ORDER BY id LIMIT 1"
+      ).get(now, now);
+      return row ? toItem(row) : null;
+    },
+
+    /** Есть ли что исполнять прямо сейчас */
+    hasReady(now = Date.now()) {
+      return !!db.prepare(
+        "SELECT 1 FROM actions WHERE status = 'pending' AND not_before <= ? AND expires_at > ? LIMIT 1"
+      ).get(now, now);
+    },
+
+    /** Взять в работу: in-flight + attempts++ */
+    markInFlight(id, now = Date.now()) {
+      db.prepare(
+        "UPDATE actions SET status = 'in-flight', attempts = attempts + 1, started_at = ?, updated_at = datetime('now') WHERE id = ?"
+      ).run(now, id);
+    },
+
+    markDone(id) {
+      setStatus.run("done", null, id);
+    },
+
+    /**
+     * Попытка не удалась: повтор с backoff или failed после MAX_ATTEMPTS
+     * @param {boolean} [needsConfirm] — ставка могла дойти до блокчейна, перед повтором — сверка
+     * @returns {"pending"|"failed"}
+     */
+    markFailed(id, error, { needsConfirm = false } = {}) {
+      const row = db.prepare("SELECT attempts FROM actions WHERE id = ?").get(id);
+      if (!row || row.attempts >= MAX_ATTEMPTS) {
+        setStatus.run("failed", error, id);
+        return "failed";
+      }
+      const delay = 30_000 * 2 ** (row.attempts - 1);
+      db.prepare(`
+        UPDATE actions SET status = 'pending', last_error = ?, needs_confirm = ?, not_before = ?, updated_at = datetime('now')
+        WHERE id = ?
+      `).run(error, needsConfirm ? 1 : 0, Date.now() + delay, id);
+      return "pending";
+    },
+
+    /** Вернуть в pending после сверки (ставка не дошла) */
+    release(id) {
+      db.prepare(
+        "UPDATE actions SET status = 'pending', needs_confirm = 0, updated_at = datetime('now') WHERE id = ?"
+      ).run(id);
+    },
+
+    /** Застрявшие in-flight (процесс упал посреди исполнения) */
+    getInFlight() {
+      return db.prepare("SELECT * FROM actions WHERE status = 'in-flight' ORDER BY id").all().map(toItem);
+    },
+
+    /** Счётчики по статусам — для /api/debug */
+    counts() {
+      const rows = db.prepare("SELECT status, COUNT(*) as c FROM actions GROUP BY status").all();
+      return Object.fromEntries(rows.map(r => [r.status, r.c]));
+    },
+
+    /** Последние действия (для отладки) */
+    recent(limit = 20) {
+      return db.prepare("SELECT * FROM actions ORDER BY id DESC LIMIT ?").all(limit).map(toItem);
+    },
+
+    /** Удалить завершённые старше days дней */
+    prune(days = 7) {
+      return db.prepare(
+        "DELETE FROM actions WHERE status IN ('done', 'failed', 'expired') AND datetime(created_at) < datetime('now', ? || ' days')"
+      ).run(-days).changes;
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
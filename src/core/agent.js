@@ -2,50 +2,96 @@
  * Агент — кошелёк, память, выполнение действий
  *
  * Цикл жизни управляется Orchestrator'ом (src/core/orchestrator.js).
- * Агент отвечает за: init, executeAction, checkResolutions, stop.
+ * Агент отвечает за: init, executeAction, очередь действий, checkResolutions, stop.
  */
 
 import { createWallet } from "./wallet.js";
+import { createPaperWallet } from "./paper-wallet.js";
 import { createMarketAPI } from "./market-api.js";
 import { createMemory } from "./memory.js";
+import { createRiskManager } from "./risk.js";
+import { createActionQueue } from "./action-queue.js";
+import { STAKE_ACTIONS } from "./positions.js";
+import { explorerUrl } from "./transactions.js";
+import { resolveDeployment } from "./deployment.js";
 import { createLogger } from "../utils/logger.js";
 import { createDashboardPusher } from "../utils/dashboard-push.js";
+import { marketPoolsNear, parimutuelPayout, yoctoToNear } from "../utils/parimutuel.js";
 import path from "path";
 import fs from "fs";
 
+/**
+ * Поля, которые нельзя поменять на живом агенте: от них зависят данные
+ * (data/{name}), кошелёк и деплоймент. Их правка — пересоздание агента.
+ */
+export const RESTART_KEYS = ["name", "avatar", "network", "contract", "nearcastApi", "rpcUrl"];
+
+/**
+ * Режимы агента (задаёт оператор, /api/admin/agents/:name/mode):
+ *   normal    — ставки и чат
+ *   chat-only — только chat/reply, ставки отбрасываются
+ *   bet-only  — только ставки, агент молчит в чате
+ */
+export const AGENT_MODES = ["normal", "chat-only", "bet-only"];
+
 export class Agent {
-  constructor(config, env) {
+  /**
+   * @param {object} config
+   * @param {object} env
+   * @param {string} [configPath] — файл конфига (для горячей перезагрузки)
+   */
+  constructor(config, env, configPath = null) {
     this.config = config;
     this.env = env;
+    this.configPath = configPath;
     this.log = createLogger(config.name, config.avatar);
     this.running = false;
     this.cycleCount = 0;
+    this.paused = false; // пауза оператора — агент пропускает циклы
+    this.mode = "normal"; // AGENT_MODES
   }
 
   async init() {
     const { config, env, log } = this;
-    const dataDir = path.join("data", config.name.toLowerCase().replace(/\s+/g, "-"));
+    // Paper-режим держит память и леджер отдельно от live-данных
+    const dataDir = path.join("data", env.PAPER_MODE ? "paper" : "", config.name.toLowerCase().replace(/\s+/g, "-"));
+    this.dataDir = dataDir;
 
     // Память (SQLite)
     fs.mkdirSync(dataDir, { recursive: true });
     this.memory = createMemory(path.join(dataDir, "memory.db"));
+    // Очередь действий — решения мозга переживают рестарт
+    this.queue = createActionQueue(path.join(dataDir, "queue.db"));
+    this.queue.prune();
+
+    // Деплоймент: сеть, контракт, API, RPC — из конфига агента или env
+    this.deployment = resolveDeployment(config, env);
+    const { deployment } = this;
+
+    // API клиент
+    this.api = createMarketAPI(deployment.nearcastApi);
 
     // Кошелёк NEAR (funder — для создания аккаунтов если faucet недоступен)
-    const funder = env.FUNDER_ACCOUNT_ID && env.FUNDER_PRIVATE_KEY
+    // В paper-режиме — локальный симулированный леджер вместо контракта.
+    // Funder из env живёт в сети NEAR_NETWORK — агентам другой сети он не поможет
+    const funder = env.FUNDER_ACCOUNT_ID && env.FUNDER_PRIVATE_KEY && deployment.network === env.NEAR_NETWORK
       ? { accountId: env.FUNDER_ACCOUNT_ID, privateKey: env.FUNDER_PRIVATE_KEY }
       : null;
 
-    this.wallet = await createWallet({
-      name: config.name,
-      avatar: config.avatar,
-      network: env.NEAR_NETWORK || "testnet",
-      contractId: env.NEARCAST_CONTRACT,
-      dataDir,
-      funder,
-    });
-
-    // API клиент
-    this.api = createMarketAPI(env.NEARCAST_API);
+    // Каждая транзакция кошелька — в память, упавшие — на дашборд
+    const onTransaction = (tx) => this.recordTransaction(tx);
+    this.wallet = env.PAPER_MODE
+      ? createPaperWallet({ name: config.name, avatar: config.avatar, dataDir, api: this.api, onTransaction })
+      : await createWallet({
+        name: config.name,
+        avatar: config.avatar,
+        network: deployment.network,
+        contractId: deployment.contractId,
+        rpcUrl: deployment.rpcUrl,
+        dataDir,
+        funder,
+        onTransaction,
+      });
 
     // Сохраняем accountId в конфиг для brain
     config.accountId = this.wallet.accountId;
@@ -55,53 +101,155 @@ export class Agent {
       env.DASHBOARD_URL, config.name, config.avatar, env.AGENT_SECRET
     );
 
-    // Синхронизация ставок с блокчейном (сброс устаревших данных после передеплоя контракта)
-    // Каждый API-вызов независимый — syncFromChain вызывается ВСЕГДА
-    let chainBets = [];
-    let allMarkets = [];
+    // Риск-менеджер — проверяет ставки перед executeAction
+    this.risk = createRiskManager(config, { memory: this.memory, dashboard: this.dashboard, log });
+
+    // Пауза и режим от оператора переживают рестарт
+    this.paused = this.memory.getNote("admin.paused") === "1";
+    this.mode = AGENT_MODES.includes(this.memory.getNote("admin.mode")) ? this.memory.getNote("admin.mode") : "normal";
+
+    // Сверка ставок с блокчейном (импорт недостающих, orphaned вместо удаления)
     try {
-      chainBets = (await this.api.getUserBets(this.wallet.accountId)) || [];
+      await this.reconcile();
     } catch (err) {
-      log.warn(`Не удалось загрузить ставки с блокчейна: ${err.message}`);
+      log.warn(`Сверка с блокчейном пропущена: ${err.message}`);
     }
-    try {
-      allMarkets = await this.api.getMarkets({ limit: 100000 });
-    } catch (err) {
-      log.warn(`Не удалось загрузить рынки: ${err.message}`);
+
+    log.info(`Инициализирован | Аккаунт: ${this.wallet.accountId} | ${deployment.label}`);
+    log.info(`Модель: ${config.model} | Риск: ${config.riskLevel} | Макс. ставка: ${config.maxBetNear} NEAR${env.PAPER_MODE ? " | PAPER" : ""}`);
+    if (this.paused || this.mode !== "normal") {
+      log.warn(`Состояние от оператора: ${this.paused ? "на паузе" : "активен"}, режим ${this.mode}`);
     }
+
+    return this;
+  }
+
+  /**
+   * Сохранить транзакцию кошелька; упавшую (или с упавшим receipt) — событие tx-failed
+   * с panic контракта. error (не дошло до сети) — только в лог: это ещё не receipt.
+   */
+  recordTransaction(tx) {
+    const { log, memory } = this;
     try {
-      const synced = this.memory.syncFromChain(chainBets, allMarkets);
-      if (synced > 0) log.info(`Восстановлено ${synced} ставок из блокчейна`);
-      else log.info(`Синхронизация: 0 ставок на блокчейне, локальных стёрто`);
+      memory.recordTransaction(tx);
     } catch (err) {
-      log.warn(`Ошибка syncFromChain: ${err.message}`);
+      log.warn(`Не удалось записать транзакцию ${tx.method}: ${err.message}`);
     }
+    if (tx.status !== "failed" && tx.status !== "partial") return;
+
+    log.error(`Транзакция ${tx.method} ${tx.status === "partial" ? "с упавшим receipt" : "упала"}: ${tx.error}`);
+    this.dashboard?.pushEvent("tx-failed", {
+      marketId: tx.args?.market_id ?? null,
+      message: tx.error,
+      metadata: {
+        method: tx.method, status: tx.status, hash: tx.hash,
+        explorerUrl: explorerUrl(this.deployment.network, tx.hash),
+      },
+    });
+  }
 
-    log.info(`Инициализирован | Аккаунт: ${this.wallet.accountId}`);
-    log.info(`Модель: ${config.model} | Риск: ${config.riskLevel} | Макс. ставка: ${config.maxBetNear} NEAR`);
+  /**
+   * Применить новый конфиг на лету (без RESTART_KEYS)
+   * Объект config тот же — риск-менеджер и планировщик читают его при каждом обращении.
+   * @param {object} config — конфиг из файла
+   * @param {object} diff — { key: { from, to } } (diffConfig)
+   */
+  applyConfig(config, diff) {
+    const { accountId } = this.config;
+    for (const key of Object.keys(this.config)) {
+      if (!(key in config)) delete this.config[key];
+    }
+    Object.assign(this.config, config, { accountId });
 
-    return this;
+    const keys = Object.keys(diff);
+    this.log.info(`Конфиг обновлён: ${keys.join(", ")}`);
+    this.dashboard.pushEvent("config", {
+      message: `Config updated: ${keys.join(", ")}`,
+      metadata: { action: "updated", diff },
+    });
+  }
+
+  /** Пауза оператора: агент пропускает циклы, очередь и ставки остаются */
+  setPaused(paused) {
+    this.paused = paused;
+    this.memory.setNote("admin.paused", paused ? "1" : "0");
+    this.log.warn(paused ? "Поставлен на паузу оператором" : "Снят с паузы оператором");
+    this.dashboard.pushEvent("admin", { message: paused ? "Paused by operator" : "Resumed by operator" });
   }
 
-  /** Выполнить одно действие */
-  async executeAction(action) {
+  /** Режим агента: normal | chat-only | bet-only */
+  setMode(mode) {
+    if (!AGENT_MODES.includes(mode)) {
+      throw new Error(`Неизвестный режим ${mode} (допустимы: ${AGENT_MODES.join(", ")})`);
+    }
+    const from = this.mode;
+    this.mode = mode;
+    this.memory.setNote("admin.mode", mode);
+    this.log.warn(`Режим: ${from} → ${mode}`);
+    this.dashboard.pushEvent("admin", { message: `Mode: ${from} → ${mode}`, metadata: { from, to: mode } });
+  }
+
+  /**
+   * Сверить память со ставками на блокчейне
+   * Если ставки или рынки не загрузились — бросает: пустой ответ API
+   * не должен превратить все локальные ставки в orphaned.
+   * @param {object[]} [markets] — все рынки, если уже загружены
+   * @returns {Promise<object>} — отчёт сверки
+   */
+  async reconcile(markets = null) {
+    const { log, memory } = this;
+    const chainBets = await this.fetchChainBets();
+    const allMarkets = markets || await this.api.getMarkets({ limit: 100000 });
+    const report = memory.reconcileWithChain(chainBets, allMarkets);
+
+    log.info(`Сверка: локальных ${report.local}, на блокчейне ${report.chain}, совпало ${report.matched}` +
+      ` | импорт ${report.inserted.length}, orphaned +${report.orphaned.length}, восстановлено ${report.restored.length}` +
+      `, исправлено ${report.statusUpdated.length}`);
+    return report;
+  }
+
+  /** Ставки агента "на блокчейне" — в paper-режиме из симулированного леджера */
+  async fetchChainBets() {
+    if (this.wallet.paper) return this.wallet.getUserBets();
+    return (await this.api.getUserBets(this.wallet.accountId)) || [];
+  }
+
+  /**
+   * Выполнить одно действие
+   * @param {object} action
+   * @param {object} [opts]
+   * @param {object} [opts.market] — рынок с odds/пулами из текущего цикла (для записи цены входа)
+   * @param {number} [opts.actionId] — id в очереди (пишется в ставку для сверки после рестарта)
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async executeAction(action, { market = null, actionId = null } = {}) {
     const { log, wallet, api, memory, dashboard } = this;
 
     try {
       switch (action.type) {
-        case "bet": {
-          await wallet.placeBet(action.marketId, action.outcome, action.amount);
-          memory.recordBet(action.marketId, action.outcome, action.amount, null, action.reason || "");
-          log.action("BET", `${action.amount} NEAR на рынке #${action.marketId}, исход ${action.outcome}`);
-          dashboard.pushEvent("bet", {
+        // add/hedge — та же ставка на контракте, отличаются только смыслом для позиции
+        case "bet":
+        case "add":
+        case "hedge": {
+          // Цена входа — снимаем до ставки, пока наша ставка не сдвинула пулы
+          const entry = await this.entrySnapshot(action.marketId, action.outcome, market);
+          const tx = await wallet.placeBet(action.marketId, action.outcome, action.amount);
+          memory.recordBet(action.marketId, action.outcome, action.amount, entry.odds, action.reason || "", {
+            ...entry, kind: action.type, actionId, txHash: tx?.hash ?? null,
+          });
+          log.action(action.type.toUpperCase(), `${action.amount} NEAR на рынке #${action.marketId}, исход ${action.outcome}` +
+            (entry.odds != null ? ` @ ${(entry.odds * 100).toFixed(0)}%` : ""));
+          dashboard.pushEvent(action.type, {
             marketId: action.marketId, outcome: action.outcome,
             amountNear: action.amount, message: action.reason || "",
+            metadata: { oddsAtBet: entry.odds, totalPool: entry.totalPool, outcomePool: entry.outcomePool, txHash: tx?.hash ?? null },
           });
           break;
         }
 
         case "chat": {
-          await api.sendChat(action.marketId, wallet.accountId, action.message);
+          // Paper-режим не пишет в реальные чаты — только локально
+          if (!wallet.paper) await api.sendChat(action.marketId, wallet.accountId, action.message);
           memory.recordChat(action.marketId, action.message, null);
           log.action("CHAT", `[#${action.marketId}] "${action.message.slice(0, 60)}..."`);
           dashboard.pushEvent("chat", { marketId: action.marketId, message: action.message });
@@ -109,7 +257,7 @@ export class Agent {
         }
 
         case "reply": {
-          await api.sendChat(action.marketId, wallet.accountId, action.message, action.replyTo);
+          if (!wallet.paper) await api.sendChat(action.marketId, wallet.accountId, action.message, action.replyTo);
           memory.recordChat(action.marketId, action.message, action.replyTo);
           log.action("REPLY", `[#${action.marketId}→${action.replyTo}] "${action.message.slice(0, 60)}..."`);
           dashboard.pushEvent("reply", {
@@ -123,62 +271,252 @@ export class Agent {
       // Пауза между действиями (имитация человека)
       const delay = 1000 + Math.random() * 3000;
       await new Promise(r => setTimeout(r, delay));
+      return { ok: true };
 
     } catch (err) {
       log.error(`Ошибка действия ${action.type}: ${err.message}`);
+      return { ok: false, error: err.message };
     }
   }
 
-  /** Проверить резолвнутые рынки, клеймить выигрыш/рефанд и обновить P&L */
+  /**
+   * Исполнить готовые действия из очереди
+   * @param {object} [opts]
+   * @param {object} [opts.markets] — { marketId: рынок цикла } для цены входа
+   * @param {Function} [opts.onDone] — (action) после успешного исполнения
+   * @returns {Promise<number>} — сколько исполнено
+   */
+  async processQueue({ markets = {}, onDone = null } = {}) {
+    const { queue, log } = this;
+
+    for (const item of queue.expireStale()) {
+      log.warn(`Действие ${item.type} #${item.market_id} просрочено — не исполняю`);
+    }
+
+    let done = 0;
+    let item;
+    while ((item = queue.nextReady())) {
+      // Прошлая попытка упала — могла дойти до блокчейна: сначала сверка
+      if (item.needs_confirm) {
+        const confirmed = await this.confirmAction(item);
+        if (confirmed === null) {
+          queue.markFailed(item.id, "сверка не удалась", { needsConfirm: true });
+          continue;
+        }
+        if (confirmed) {
+          queue.markDone(item.id);
+          onDone?.(item.action);
+          continue;
+        }
+        queue.release(item.id);
+      }
+
+      queue.markInFlight(item.id);
+      const result = await this.executeAction(item.action, { market: markets[item.market_id], actionId: item.id });
+      if (result.ok) {
+        queue.markDone(item.id);
+        onDone?.(item.action);
+        done++;
+      } else {
+        const status = queue.markFailed(item.id, result.error, { needsConfirm: true });
+        log.warn(`Действие ${item.type} #${item.market_id}: ${status === "failed" ? "попытки исчерпаны" : "повтор позже"}`);
+      }
+    }
+    return done;
+  }
+
+  /**
+   * После рестарта: действия, застрявшие in-flight, сверяем с блокчейном/чатом
+   * @returns {Promise<number>} — сколько подтверждено
+   */
+  async recoverQueue() {
+    const { queue, log } = this;
+    let confirmed = 0;
+
+    for (const item of queue.getInFlight()) {
+      const result = await this.confirmAction(item);
+      if (result === true) {
+        queue.markDone(item.id);
+        confirmed++;
+      } else if (result === false) {
+        queue.release(item.id);
+        log.info(`Действие ${item.type} #${item.market_id} прервано рестартом — повторю`);
+      } else {
+        queue.markFailed(item.id, "сверка после рестарта не удалась", { needsConfirm: true });
+      }
+    }
+    return confirmed;
+  }
+
+  /**
+   * Дошло ли действие, хотя попытка упала или прервалась
+   * Ставка — ищем на блокчейне (getUserBets) ставку с тем же рынком, исходом
+   * и суммой после начала попытки, которую не записало другое действие очереди.
+   * Нашли — записываем в память.
+   * @returns {Promise<boolean|null>} — null: проверить не удалось (API недоступен)
+   */
+  async confirmAction(item) {
+    const { memory, wallet, api, log } = this;
+    const a = item.action;
+    const since = (item.started_at || Date.parse(`${item.created_at}Z`)) - 60_000; // запас на расхождение часов
+
+    try {
+      if (STAKE_ACTIONS.includes(a.type)) {
+        // Упали после записи в память — ставка точно прошла
+        if (memory.hasBetForAction(item.id)) return true;
+
+        const chainBets = await this.fetchChainBets();
+        const onChain = chainBets.filter(b =>
+          b.marketId === a.marketId && b.outcome === a.outcome &&
+          Math.abs(yoctoToNear(b.amount) - a.amount) < 0.001 &&
+          Number(b.timestamp) / 1e6 >= since
+        ).length;
+        if (onChain <= memory.countQueuedBetsSince(a.marketId, a.outcome, a.amount, since, item.id)) return false;
+
+        // Сверка при старте могла уже импортировать её в память — тогда не дублируем
+        if (memory.countBetsSince(a.marketId, a.outcome, a.amount, since) < onChain) {
+          memory.recordBet(a.marketId, a.outcome, a.amount, null, a.reason || "", { kind: a.type, actionId: item.id });
+        }
+        log.info(`Ставка ${a.amount} NEAR #${a.marketId} найдена на блокчейне — не повторяю`);
+        return true;
+      }
+
+      // Paper-чат не уходит в API — сверять не с чем
+      if (wallet.paper) return false;
+      const chat = await api.getChat(a.marketId, 30);
+      return chat.some(c => c.account_id === wallet.accountId && c.message === a.message);
+    } catch (err) {
+      log.warn(`Сверка действия ${a.type} #${a.marketId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Implied-вероятность исхода и пулы рынка на момент ставки
+   * @returns {{ odds: number|null, totalPool: number|null, outcomePool: number|null }}
+   */
+  async entrySnapshot(marketId, outcome, market) {
+    try {
+      const m = market?.outcomePools ? market : await this.api.getMarket(marketId);
+      const { totalPool, outcomePools } = marketPoolsNear(m);
+      const outcomePool = outcomePools[outcome] ?? null;
+      // Нормализованные odds из цикла, иначе — доля пула исхода
+      const odds = market?.odds?.[outcome] ?? (totalPool > 0 && outcomePool != null ? outcomePool / totalPool : null);
+      return { odds, totalPool, outcomePool };
+    } catch {
+      return { odds: market?.odds?.[outcome] ?? null, totalPool: null, outcomePool: null };
+    }
+  }
+
+  /**
+   * Проверить резолвнутые рынки, клеймить выигрыш/рефанд и обновить P&L
+   *
+   * Выплата — по parimutuel из пулов резолвнутого рынка. После клейма
+   * сверяем с изменением баланса на контракте: если расходится — верим контракту.
+   */
   async checkResolutions() {
-    const { memory, wallet, api, log, dashboard } = this;
+    const { memory, api, log } = this;
     const pending = memory.getPendingBets();
 
+    // Один клейм на рынок, даже если ставок на нём несколько
+    const byMarket = new Map();
     for (const bet of pending) {
+      if (!byMarket.has(bet.market_id)) byMarket.set(bet.market_id, []);
+      byMarket.get(bet.market_id).push(bet);
+    }
+
+    for (const [marketId, bets] of byMarket) {
       try {
-        const market = await api.getMarket(bet.market_id);
+        const market = await api.getMarket(marketId);
         if (!market || market.status === "active") continue;
 
         if (market.status === "resolved") {
-          const won = market.resolvedOutcome === bet.outcome;
-
-          // Клеймим выигрыш на контракте (зачисляется на внутренний баланс)
-          if (won) {
-            try {
-              await wallet.claimWinnings(bet.market_id);
-              log.action("CLAIM", `Выигрыш заклеймлен на рынке #${bet.market_id}`);
-            } catch (err) {
-              // "Выигрыш уже получен" или "Нет ставок" — не страшно
-              if (!err.message.includes("уже получен")) {
-                log.warn(`Ошибка клейма рынка #${bet.market_id}: ${err.message}`);
-              }
-            }
-          }
-
-          const pnl = won ? bet.amount_near * 1.5 : -bet.amount_near;
-          memory.resolveBet(bet.market_id, won ? "won" : "lost", pnl);
-          log.action(won ? "WIN" : "LOSS",
-            `Рынок #${bet.market_id}: ${won ? "+" : ""}${pnl.toFixed(2)} NEAR`);
-          dashboard.pushEvent(won ? "win" : "loss", {
-            marketId: bet.market_id, pnlNear: pnl,
-          });
+          await this.settleResolved(market, bets);
         } else if (market.status === "voided") {
-          // Клеймим рефанд на контракте
-          try {
-            await wallet.claimWinnings(bet.market_id);
-            log.action("CLAIM", `Рефанд заклеймлен на рынке #${bet.market_id}`);
-          } catch (err) {
-            if (!err.message.includes("уже получен")) {
-              log.warn(`Ошибка клейма рефанда #${bet.market_id}: ${err.message}`);
-            }
-          }
+          await this.settleVoided(market, bets);
+        }
+      } catch (err) {
+        log.warn(`Рынок #${marketId} недоступен: ${err.message}`);
+      }
+    }
+  }
+
+  /** Клейм + P&L по резолвнутому рынку */
+  async settleResolved(market, bets) {
+    const { memory, wallet, log, dashboard } = this;
+    const marketId = market.id;
+    const { totalPool, outcomePools } = marketPoolsNear(market);
+    const winPool = outcomePools[market.resolvedOutcome] || 0;
+
+    // Расчётная выплата по каждой выигравшей ставке
+    const payouts = new Map();
+    for (const bet of bets) {
+      if (bet.outcome === market.resolvedOutcome) {
+        payouts.set(bet.id, parimutuelPayout(bet.amount_near, totalPool, winPool));
+      }
+    }
 
-          memory.resolveBet(bet.market_id, "voided", 0);
-          log.action("VOID", `Рынок #${bet.market_id} аннулирован — рефанд`);
-          dashboard.pushEvent("void", { marketId: bet.market_id });
+    // Клеймим выигрыш на контракте (зачисляется на внутренний баланс) и сверяем с дельтой баланса
+    if (payouts.size > 0) {
+      const expected = [...payouts.values()].reduce((s, p) => s + p, 0);
+      try {
+        const before = await wallet.getContractBalance();
+        await wallet.claimWinnings(marketId);
+        const delta = (await wallet.getContractBalance()) - before;
+        log.action("CLAIM", `Выигрыш заклеймлен на рынке #${marketId}: +${delta.toFixed(4)} NEAR`);
+
+        if (delta > 0 && Math.abs(delta - expected) > 0.01) {
+          log.warn(`Рынок #${marketId}: расчётная выплата ${expected.toFixed(4)}, на контракте +${delta.toFixed(4)} — беру контракт`);
+          if (expected > 0) {
+            for (const [id, p] of payouts) payouts.set(id, p * delta / expected);
+          } else {
+            // Расчёт дал 0 (пул победителя без наших ставок, paper) — делим дельту по размеру ставок
+            const winning = bets.filter(b => payouts.has(b.id));
+            const staked = winning.reduce((s, b) => s + b.amount_near, 0);
+            for (const b of winning) payouts.set(b.id, delta * b.amount_near / staked);
+          }
         }
-      } catch { /* рынок недоступен */ }
+      } catch (err) {
+        // "Выигрыш уже получен" или "Нет ставок" — не страшно, остаётся расчётная выплата.
+        // Остальное — клейм не прошёл: ставки остаются pending, следующий checkResolutions повторит
+        if (!err.message.includes("уже получен") && !err.message.includes("Нет ставок")) {
+          log.warn(`Ошибка клейма рынка #${marketId}: ${err.message} — повторю позже`);
+          return;
+        }
+      }
     }
+
+    for (const bet of bets) {
+      const won = payouts.has(bet.id);
+      const pnl = won ? payouts.get(bet.id) - bet.amount_near : -bet.amount_near;
+      memory.resolveBet(bet.id, won ? "won" : "lost", pnl);
+      log.action(won ? "WIN" : "LOSS",
+        `Рынок #${marketId}: ${won ? "+" : ""}${pnl.toFixed(2)} NEAR`);
+      dashboard.pushEvent(won ? "win" : "loss", {
+        marketId, pnlNear: pnl,
+      });
+    }
+  }
+
+  /** Клейм рефанда по аннулированному рынку */
+  async settleVoided(market, bets) {
+    const { memory, wallet, log, dashboard } = this;
+    const marketId = market.id;
+
+    try {
+      await wallet.claimWinnings(marketId);
+      log.action("CLAIM", `Рефанд заклеймлен на рынке #${marketId}`);
+    } catch (err) {
+      // "Уже получен" — рефанд на кошельке. Остальное — ставки остаются pending, повторим позже
+      if (!err.message.includes("уже получен")) {
+        log.warn(`Ошибка клейма рефанда #${marketId}: ${err.message} — повторю позже`);
+        return;
+      }
+    }
+
+    for (const bet of bets) memory.resolveBet(bet.id, "voided", 0);
+    log.action("VOID", `Рынок #${marketId} аннулирован — рефанд`);
+    dashboard.pushEvent("void", { marketId });
   }
 
   /** Остановить агента */
@@ -186,13 +524,27 @@ export class Agent {
     this.running = false;
     this.log.info("═══ Агент остановлен ═══");
     this.memory?.close();
+    this.queue?.close();
+    this.wallet?.close?.();
   }
 }
 
 /**
  * Загрузить конфиг агента из JSON файла
+ *
+ * "extends": "maxbet.json" — взять конфиг-основу (путь от этого файла)
+ * и переопределить поля. Та же персона на другом контракте:
+ *   { "extends": "maxbet.json", "name": "MaxBet Staging", "contract": "staging.testnet" }
  */
-export function loadConfig(filePath) {
+export function loadConfig(filePath, seen = new Set()) {
   const raw = fs.readFileSync(filePath, "utf8");
-  return JSON.parse(raw);
+  const config = JSON.parse(raw);
+  if (!config.extends) return config;
+
+  const resolved = path.resolve(filePath);
+  if (seen.has(resolved)) throw new Error(`Циклический extends: ${filePath}`);
+  seen.add(resolved);
+
+  const { extends: base, ...own } = config;
+  return { ...loadConfig(path.resolve(path.dirname(filePath), base), seen), ...own };
 }
@@ -0,0 +1,107 @@
+/**
+ * Горячая перезагрузка конфигов агентов — слежение за agents/
+ *
+ * fs.watch шлёт по несколько событий на одно сохранение, а редакторы
+ * пишут через временный файл — поэтому события копятся debounceMs, потом
+ * каталог перечитывается целиком и сравнивается с прошлым снимком.
+ * Так подхватывается и extends: правка базы меняет всех наследников.
+ *
+ * Изменения: { type: "added" | "changed" | "removed", file, config, before, diff }.
+ * Применяет их оркестратор — между циклами (Orchestrator.applyConfigChanges);
+ * снимок уходит вперёд сразу, поэтому неудачное добавление агента повторяет оркестратор.
+ * Файл с битым JSON (сохранён на полпути) пропускается: агент живёт
+ * со старым конфигом до следующего удачного сохранения.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("Config", "⚙️");
+
+/**
+ * Разница конфигов по верхнеуровневым ключам
+ * @returns {object} — { key: { from, to } }; пустой — конфиги совпадают
+ */
+export function diffConfig(before = {}, after = {}) {
+  const diff = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      diff[key] = { from: before[key], to: after[key] };
+    }
+  }
+  return diff;
+}
+
+/**
+ * @param {string} dir — каталог конфигов
+ * @param {object} opts
+ * @param {Function} opts.load — (file) → конфиг (loadConfig из agent.js)
+ * @param {Function} opts.onChanges — (changes[]) при каждом непустом наборе изменений
+ * @param {number} [opts.debounceMs]
+ */
+export function createConfigWatcher(dir, { load, onChanges, debounceMs = 1000 }) {
+  const snapshot = new Map(); // file → конфиг (как в файле, без полей из init)
+  let watcher = null;
+  let timer = null;
+
+  /** Перечитать каталог; тихо (silent) — только запомнить снимок */
+  function scan({ silent = false } = {}) {
+    const files = fs.readdirSync(dir).filter(f => f.endsWith(".json")).map(f => path.join(dir, f));
+    const changes = [];
+
+    for (const file of files) {
+      let config;
+      try {
+        config = load(file);
+      } catch (err) {
+        if (!silent) log.warn(`${path.basename(file)} не читается — пропускаю: ${err.message}`);
+        continue;
+      }
+
+      const before = snapshot.get(file);
+      snapshot.set(file, config);
+      if (!before) {
+        changes.push({ type: "added", file, config, before: null, diff: diffConfig({}, config) });
+      } else {
+        const diff = diffConfig(before, config);
+        if (Object.keys(diff).length > 0) changes.push({ type: "changed", file, config, before, diff });
+      }
+    }
+
+    for (const [file, before] of snapshot) {
+      if (files.includes(file)) continue;
+      snapshot.delete(file);
+      changes.push({ type: "removed", file, config: null, before, diff: diffConfig(before, {}) });
+    }
+
+    if (!silent && changes.length > 0) onChanges(changes);
+    return changes;
+  }
+
+  return {
+    /** Снимок текущих файлов + слежение */
+    start() {
+      scan({ silent: true });
+      watcher = fs.watch(dir, () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          try {
+            scan();
+          } catch (err) {
+            log.error(`Ошибка перечитывания ${dir}: ${err.message}`);
+          }
+        }, debounceMs);
+      });
+      watcher.on("error", (err) => log.error(`fs.watch: ${err.message}`));
+    },
+
+    scan,
+
+    stop() {
+      clearTimeout(timer);
+      watcher?.close();
+      watcher = null;
+    },
+  };
+}
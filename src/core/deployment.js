@@ -0,0 +1,56 @@
+/**
+ * Деплоймент агента — сеть, контракт, NearCast API, RPC
+ *
+ * По умолчанию всё из env (NEAR_NETWORK, NEARCAST_CONTRACT, NEARCAST_API,
+ * NEAR_RPC_URL). Агент может переопределить любое поле в своём JSON:
+ *   "network": "mainnet", "contract": "nearcast.near",
+ *   "nearcastApi": "https://api.nearcast.xyz/api", "rpcUrl": "https://..."
+ * Так в одном процессе живут testnet- и mainnet-флоты, staging и прод.
+ *
+ * Оркестратор группирует агентов по key: рынки, чат, odds, селектор
+ * и research — свои у каждого деплоймента (id рынков разных контрактов
+ * пересекаются).
+ */
+
+/** API без протокола: "api.nearcast.xyz/api" — различает staging и прод на одном контракте */
+function apiLabel(url) {
+  try {
+    const u = new URL(url);
+    return `${u.host}${u.pathname.replace(/\/+$/, "")}`;
+  } catch {
+    return url;
+  }
+}
+
+export const DEFAULT_RPC = {
+  testnet: "https://test.rpc.fastnear.com",
+  mainnet: "https://free.rpc.fastnear.com",
+};
+
+/**
+ * @param {object} config — конфиг агента
+ * @param {object} env
+ * @returns {{ key: string, label: string, network: string, contractId: string, nearcastApi: string, rpcUrl: string }}
+ */
+export function resolveDeployment(config, env) {
+  const network = config.network || env.NEAR_NETWORK || "testnet";
+  const contractId = config.contract || env.NEARCAST_CONTRACT;
+  const nearcastApi = config.nearcastApi || env.NEARCAST_API;
+  // Глобальный NEAR_RPC_URL — только для сети из env, иначе RPC чужой сети
+  const rpcUrl = config.rpcUrl
+    || (network === (env.NEAR_NETWORK || "testnet") && env.NEAR_RPC_URL)
+    || DEFAULT_RPC[network];
+
+  if (!contractId) throw new Error(`${config.name}: не задан контракт (contract в конфиге или NEARCAST_CONTRACT)`);
+  if (!nearcastApi) throw new Error(`${config.name}: не задан NearCast API (nearcastApi в конфиге или NEARCAST_API)`);
+  if (!rpcUrl) throw new Error(`${config.name}: нет RPC для сети ${network} (rpcUrl в конфиге)`);
+
+  return {
+    key: `${network}:${contractId}@${nearcastApi}`,
+    label: `${contractId} (${network}, ${apiLabel(nearcastApi)})`,
+    network,
+    contractId,
+    nearcastApi,
+    rpcUrl,
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Кэш LLM-вызовов — record / replay / passthrough
+ *
+ * Ключ — sha256 от провайдера, модели, сообщений и параметров вызова
+ * (ключ API и URL в него не входят).
+ *   passthrough — как раньше, кэш не трогаем (по умолчанию)
+ *   record      — каждый успешный ответ сохраняется (JSON — только прошедший проверку схемы)
+ *   replay      — ответы только из кэша; промах — ошибка (воспроизводимые циклы)
+ *
+ * Отдельно от режима — TTL-кэш (opts.cacheTtlMinutes в callLLM): свежий
+ * ответ на тот же запрос отдаётся без вызова модели. Так research не
+ * гоняет web search по одному и тому же вопросу рынка.
+ *
+ * Режим — LLM_CACHE_MODE или флаг --llm-cache, файл — LLM_CACHE_PATH.
+ */
+
+import Database from "better-sqlite3";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const CACHE_MODES = ["passthrough", "record", "replay"];
+
+let settings = null; // { mode, path } — configureLLMCache или env
+let db = null;
+
+/**
+ * Задать режим и файл кэша (иначе — из env при первом вызове)
+ * @param {object} opts
+ * @param {string} [opts.mode]
+ * @param {string} [opts.path]
+ */
+export function configureLLMCache({ mode, path: dbPath } = {}) {
+  if (mode && !CACHE_MODES.includes(mode)) {
+    throw new Error(`Неизвестный режим LLM-кэша: ${mode} (${CACHE_MODES.join(" | ")})`);
+  }
+  closeLLMCache();
+  settings = {
+    mode: mode || process.env.LLM_CACHE_MODE || "passthrough",
+    path: dbPath || process.env.LLM_CACHE_PATH || path.join("data", "llm-cache.db"),
+  };
+}
+
+/** Текущий режим кэша */
+export function llmCacheMode() {
+  if (!settings) configureLLMCache();
+  return settings.mode;
+}
+
+function getDb() {
+  if (db) return db;
+  if (!settings) configureLLMCache();
+
+  fs.mkdirSync(path.dirname(settings.path), { recursive: true });
+  db = new Database(settings.path);
+  db.pragma("journal_mode = WAL");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_cache (
+      key TEXT PRIMARY KEY,
+      provider TEXT,
+      model TEXT,
+      request TEXT,
+      response TEXT NOT NULL,
+      usage TEXT,
+      hits INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+
+  return db;
+}
+
+/** Запрос в каноническом виде — всё, что влияет на ответ модели */
+function canonicalRequest(target, opts) {
+  return {
+    provider: target.name, // без baseUrl — запись с локального стенда играется и в проде
+    model: target.model,
+    system: opts.system || "",
+    prompt: opts.prompt || "",
+    history: opts.history || [],
+    temperature: opts.temperature ?? 0.7,
+    maxTokens: opts.maxTokens ?? 2000,
+    webSearch: !!opts.webSearch,
+    json: !!opts.json,
+  };
+}
+
+/** Ключ кэша для вызова */
+export function cacheKey(target, opts) {
+  return crypto.createHash("sha256").update(JSON.stringify(canonicalRequest(target, opts))).digest("hex");
+}
+
+/**
+ * Ответ из кэша
+ * @param {string} key
+ * @param {number} [maxAgeMinutes] — только не старше (TTL)
+ * @returns {{ text: string, usage: object|null } | null}
+ */
+export function readCached(key, maxAgeMinutes = null) {
+  const d = getDb();
+  const row = maxAgeMinutes != null
+    ? d.prepare("SELECT * FROM llm_cache WHERE key = ? AND created_at >= datetime('now', ? || ' minutes')").get(key, -maxAgeMinutes)
+    : d.prepare("SELECT * FROM llm_cache WHERE key = ?").get(key);
+  if (!row) return null;
+
+  d.prepare("UPDATE llm_cache SET hits = hits + 1 WHERE key = ?").run(key);
+  return { text: row.response, usage: row.usage ? JSON.parse(row.usage) : null };
+}
+
+/** Сохранить ответ (перезаписывает старый с тем же ключом) */
+export function writeCached(key, target, opts, { text, usage }) {
+  getDb().prepare(`
+    INSERT OR REPLACE INTO llm_cache (key, provider, model, request, response, usage, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(key, target.name, target.model, JSON.stringify(canonicalRequest(target, opts)), text, usage ? JSON.stringify(usage) : null);
+}
+
+export function closeLLMCache() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
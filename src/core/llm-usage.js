@@ -0,0 +1,214 @@
+/**
+ * Учёт LLM-вызовов — токены, латентность, стоимость, бюджеты
+ *
+ * callLLM пишет сюда каждую попытку (включая упавшие провайдеры).
+ * Оркестратор перед циклом спрашивает budgetLevel() и деградирует
+ * по ступеням, когда бюджет кончается:
+ *   ok          — всё как обычно
+ *   no-research — research пропускаем (web search — самые дорогие вызовы)
+ *   cheap       — research по-прежнему нет, thinkAll на дешёвой модели (cheapModel)
+ *   skip        — цикл без LLM
+ *
+ * Бюджеты (USD) — из env: LLM_BUDGET_HOURLY_USD, LLM_BUDGET_DAILY_USD.
+ * Не заданы — без ограничений, но учёт всё равно ведётся.
+ */
+
+import Database from "better-sqlite3";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const DB_PATH = path.join("data", "llm-usage.db");
+
+// Номер цикла оркестратора начинается с 0 при каждом запуске — цикл однозначен только вместе с запуском
+const RUN_ID = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+
+/**
+ * Цены USD за 1M токенов [prompt, completion]; ключ — провайдер, затем префикс модели.
+ * "*" — цена по умолчанию для провайдера. Локальные модели бесплатны.
+ */
+export const MODEL_PRICES = {
+  venice: {
+    "llama-3.3-70b": [0.7, 2.8],
+    "llama-3.2-3b": [0.15, 0.6],
+    "qwen3-4b": [0.15, 0.6],
+    "*": [0.7, 2.8],
+  },
+  openai: {
+    "gpt-4o-mini": [0.15, 0.6],
+    "gpt-4o": [2.5, 10],
+    "gpt-4.1-mini": [0.4, 1.6],
+    "gpt-4.1": [2, 8],
+    "*": [2.5, 10],
+  },
+  anthropic: {
+    "claude-3-5-haiku": [0.8, 4],
+    "claude-haiku": [1, 5],
+    "claude-sonnet": [3, 15],
+    "claude-opus": [15, 75],
+    "*": [3, 15],
+  },
+  ollama: { "*": [0, 0] },
+  llamacpp: { "*": [0, 0] },
+};
+
+/** Доля бюджета, после которой включается ступень деградации */
+const DEGRADE_STEPS = [
+  [1, "skip"],
+  [0.9, "cheap"],
+  [0.75, "no-research"],
+];
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  db = new Database(DB_PATH);
+  db.pragma("journal_mode = WAL");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_calls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      model TEXT,
+      purpose TEXT,
+      agent TEXT,
+      cycle INTEGER,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      estimated INTEGER DEFAULT 0,
+      latency_ms INTEGER,
+      cost_usd REAL DEFAULT 0,
+      ok INTEGER DEFAULT 1,
+      error TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_llm_calls_created ON llm_calls(created_at);
+  `);
+
+  const cols = db.prepare("PRAGMA table_info(llm_calls)").all().map(c => c.name);
+  if (!cols.includes("run_id")) db.exec("ALTER TABLE llm_calls ADD COLUMN run_id TEXT");
+
+  return db;
+}
+
+/**
+ * Оценка стоимости вызова
+ * @returns {number} — USD
+ */
+export function estimateCost(provider, model, promptTokens, completionTokens) {
+  const table = MODEL_PRICES[provider] || {};
+  const key = Object.keys(table)
+    .filter(k => k !== "*" && (model || "").startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  const [inPrice, outPrice] = table[key] || table["*"] || [0, 0];
+  return (promptTokens * inPrice + completionTokens * outPrice) / 1e6;
+}
+
+/**
+ * Записать вызов
+ * @param {object} call
+ * @param {string} call.provider
+ * @param {string} call.model
+ * @param {object} [call.tag] — { purpose, agent, cycle } из opts.usageTag
+ * @param {number} call.promptTokens
+ * @param {number} call.completionTokens
+ * @param {boolean} [call.estimated] — провайдер не вернул usage, токены оценены по длине текста
+ * @param {number} call.latencyMs
+ * @param {string} [call.error] — вызов упал
+ */
+export function recordLLMCall({ provider, model, tag = {}, promptTokens = 0, completionTokens = 0, estimated = false, latencyMs, error = null }) {
+  try {
+    const cost = estimateCost(provider, model, promptTokens, completionTokens);
+    getDb().prepare(`
+      INSERT INTO llm_calls (provider, model, purpose, agent, cycle, run_id, prompt_tokens, completion_tokens, estimated, latency_ms, cost_usd, ok, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      provider, model || null, tag.purpose || null, tag.agent || null, tag.cycle ?? null, RUN_ID,
+      promptTokens, completionTokens, estimated ? 1 : 0, Math.round(latencyMs), cost, error ? 0 : 1, error
+    );
+  } catch (err) {
+    console.error(`[LLM usage] Ошибка записи: ${err.message}`);
+  }
+}
+
+/** Потрачено (USD) за последние minutes минут */
+export function spentSince(minutes) {
+  return getDb().prepare(
+    "SELECT COALESCE(SUM(cost_usd), 0) as s FROM llm_calls WHERE created_at >= datetime('now', ? || ' minutes')"
+  ).get(-minutes).s;
+}
+
+/** Бюджеты из env (USD, null — без лимита) */
+export function resolveBudgets(env = process.env) {
+  const num = (v) => (v != null && v !== "" && !isNaN(Number(v)) ? Number(v) : null);
+  return { hourly: num(env.LLM_BUDGET_HOURLY_USD), daily: num(env.LLM_BUDGET_DAILY_USD) };
+}
+
+/**
+ * Текущая ступень деградации по бюджетам
+ * @returns {{ level: "ok"|"no-research"|"cheap"|"skip", spent: { hour, day }, budgets, usage: { hour, day } }}
+ *   usage — доля израсходованного бюджета (null — лимит не задан)
+ */
+export function budgetLevel(budgets = resolveBudgets()) {
+  const spent = { hour: spentSince(60), day: spentSince(24 * 60) };
+  const usage = {
+    hour: budgets.hourly ? spent.hour / budgets.hourly : null,
+    day: budgets.daily ? spent.day / budgets.daily : null,
+  };
+  const worst = Math.max(usage.hour ?? 0, usage.day ?? 0);
+  const level = DEGRADE_STEPS.find(([threshold]) => worst >= threshold)?.[1] || "ok";
+  return { level, spent, budgets, usage };
+}
+
+/**
+ * Сводка для /api/llm-usage
+ * @param {number} [hours] — окно
+ */
+export function getUsageSummary(hours = 24) {
+  const d = getDb();
+  const since = -hours * 60;
+  const group = (column) => d.prepare(`
+    SELECT ${column} as key, COUNT(*) as calls, SUM(prompt_tokens) as promptTokens,
+      SUM(completion_tokens) as completionTokens, SUM(cost_usd) as costUsd,
+      ROUND(AVG(latency_ms)) as avgLatencyMs, SUM(1 - ok) as failed
+    FROM llm_calls WHERE created_at >= datetime('now', ? || ' minutes')
+    GROUP BY ${column} ORDER BY costUsd DESC
+  `).all(since);
+
+  const totals = d.prepare(`
+    SELECT COUNT(*) as calls, COALESCE(SUM(prompt_tokens), 0) as promptTokens,
+      COALESCE(SUM(completion_tokens), 0) as completionTokens, COALESCE(SUM(cost_usd), 0) as costUsd
+    FROM llm_calls WHERE created_at >= datetime('now', ? || ' minutes')
+  `).get(since);
+
+  // Стоимость цикла — сколько в среднем стоит один цикл оркестратора (цикл = запуск + номер;
+  // записи до run_id не отличить между запусками — не считаем)
+  const perCycle = d.prepare(`
+    SELECT AVG(c) as avgCostUsd FROM (
+      SELECT SUM(cost_usd) as c FROM llm_calls
+      WHERE cycle IS NOT NULL AND run_id IS NOT NULL AND created_at >= datetime('now', ? || ' minutes')
+      GROUP BY run_id, cycle
+    )
+  `).get(since);
+
+  return {
+    hours,
+    totals,
+    avgCycleCostUsd: perCycle.avgCostUsd || 0,
+    byModel: group("provider || '/' || model"),
+    byPurpose: group("purpose"),
+    byAgent: group("agent"),
+    recent: d.prepare("SELECT * FROM llm_calls ORDER BY id DESC LIMIT 20").all(),
+  };
+}
+
+export function closeUsageDb() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
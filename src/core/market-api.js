@@ -2,28 +2,29 @@
  * Клиент NearCast API
  *
  * Работает с бэкендом NearCast — рынки, ставки, чат.
+ * Таймауты, ретраи и circuit breaker — в utils/http.js.
  */
 
+import { requestJson } from "../utils/http.js";
+
+/** Таймауты по эндпоинтам (мс): списки рынков и ставок тяжелее точечных запросов */
+const TIMEOUTS = {
+  list: 15_000,
+  item: 8_000,
+  chat: 5_000,
+};
+
 /**
  * @param {string} baseUrl — например "http://localhost:4001/api"
  */
 export function createMarketAPI(baseUrl) {
 
-  async function get(path) {
-    const res = await fetch(`${baseUrl}${path}`);
-    if (!res.ok) throw new Error(`API GET ${path}: ${res.status}`);
-    return res.json();
-  }
+  const get = (path, timeoutMs = TIMEOUTS.item) =>
+    requestJson(`${baseUrl}${path}`, { timeoutMs, label: `API GET ${path}` });
 
-  async function post(path, body) {
-    const res = await fetch(`${baseUrl}${path}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-    });
-    if (!res.ok) throw new Error(`API POST ${path}: ${res.status}`);
-    return res.json();
-  }
+  // POST в чат не идемпотентен — повтор только на 429
+  const post = (path, body, timeoutMs = TIMEOUTS.chat) =>
+    requestJson(`${baseUrl}${path}`, { method: "POST", body, timeoutMs, label: `API POST ${path}` });
 
   return {
     /** Все рынки (с фильтрами) */
@@ -32,7 +33,7 @@ export function createMarketAPI(baseUrl) {
       if (opts.status) params.set("status", opts.status);
       if (opts.limit) params.set("limit", opts.limit);
       const qs = params.toString();
-      return get(`/markets${qs ? `?${qs}` : ""}`);
+      return get(`/markets${qs ? `?${qs}` : ""}`, TIMEOUTS.list);
     },
 
     /** Детали рынка */
@@ -42,10 +43,10 @@ export function createMarketAPI(baseUrl) {
     getOdds: (id) => get(`/markets/${id}/odds`),
 
     /** Ставки на рынке */
-    getMarketBets: (id) => get(`/markets/${id}/bets`),
+    getMarketBets: (id) => get(`/markets/${id}/bets`, TIMEOUTS.list),
 
     /** Ставки пользователя */
-    getUserBets: (accountId) => get(`/user/${accountId}/bets`),
+    getUserBets: (accountId) => get(`/user/${accountId}/bets`, TIMEOUTS.list),
 
     /** Баланс пользователя */
     getBalance: (accountId) => get(`/balance/${accountId}`),
@@ -54,10 +55,10 @@ export function createMarketAPI(baseUrl) {
     getStats: () => get("/stats"),
 
     /** Сообщения чата рынка */
-    getChat: (marketId, limit = 30) => get(`/markets/${marketId}/chat?limit=${limit}`),
+    getChat: (marketId, limit = 30) => get(`/markets/${marketId}/chat?limit=${limit}`, TIMEOUTS.chat),
 
     /** Ответы на сообщение (тред) */
-    getReplies: (marketId, messageId) => get(`/markets/${marketId}/chat/${messageId}/replies`),
+    getReplies: (marketId, messageId) => get(`/markets/${marketId}/chat/${messageId}/replies`, TIMEOUTS.chat),
 
     /** Отправить сообщение в чат */
     sendChat: (marketId, accountId, message, replyTo = null) =>
@@ -0,0 +1,193 @@
+/**
+ * Селектор рынков — какие рынки попадут в промпт цикла
+ *
+ * Раньше агенты видели только markets.slice(0, 8): рынки дальше 8-го
+ * никогда не получали research, чат и ставки. Теперь каждый рынок
+ * получает скор по сигналам (каждый 0..1):
+ *   closing   — скоро закрывается (в пределах closingHorizonHours)
+ *   liquidity — размер пула и его прирост с прошлого цикла (объём)
+ *   edge      — расхождение research и odds рынка
+ *   chat      — новые сообщения (не от наших агентов) с прошлого показа
+ *   stale     — давно не трогали: ни ставок, ни чата наших агентов
+ *   position  — у агентов открыта позиция (add/hedge)
+ *
+ * Часть слотов (rotationSlots) всегда отдаётся рынкам, которые дольше
+ * всех не показывались, — так за несколько циклов внимание получает каждый.
+ */
+
+import { marketPoolsNear } from "../utils/parimutuel.js";
+
+const DEFAULT_WEIGHTS = { closing: 1, liquidity: 0.6, edge: 1.2, chat: 0.8, stale: 0.7, position: 0.5 };
+
+/** closesAt рынка → мс (наносекунды контракта, мс или ISO-строка) */
+function closesAtMs(market) {
+  const t = market.closesAt ?? market.closes_at;
+  if (t == null || t === "") return null;
+  if (typeof t === "string" && !/^\d+$/.test(t)) return Date.parse(t) || null;
+  const n = Number(t);
+  return n > 1e15 ? n / 1e6 : n;
+}
+
+/** Implied-вероятности рынка: m.odds или из пулов */
+function impliedOdds(market) {
+  if (Array.isArray(market.odds)) return market.odds;
+  const { totalPool, outcomePools } = marketPoolsNear(market);
+  return totalPool > 0 ? outcomePools.map(p => p / totalPool) : null;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.limit] — рынков в промпте за цикл
+ * @param {number} [opts.rotationSlots] — из них — под ротацию давно не показанных
+ * @param {number} [opts.closingHorizonHours] — с какого момента близость закрытия начинает расти
+ * @param {number} [opts.staleHours] — за сколько часов без действий stale доходит до 1
+ * @param {object} [opts.weights] — веса сигналов поверх DEFAULT_WEIGHTS
+ */
+export function createMarketSelector({
+  limit = 8,
+  rotationSlots = 2,
+  closingHorizonHours = 24,
+  staleHours = 6,
+  weights = {},
+} = {}) {
+  const W = { ...DEFAULT_WEIGHTS, ...weights };
+  const lastShown = new Map();    // marketId → мс последнего показа в промпте
+  const lastTouched = new Map();  // marketId → мс последнего действия наших агентов
+  const lastPool = new Map();     // marketId → пул (NEAR) на прошлом показе
+  const lastChatId = new Map();   // marketId → id последнего увиденного сообщения
+  let lastDecision = null;
+
+  /** Сигналы рынка (0..1) */
+  function signals(m, { now, maxPool, researchData, chatByMarket, heldMarkets, ownAccounts }) {
+    const s = { closing: 0, liquidity: 0, edge: 0, chat: 0, stale: 1, position: 0 };
+
+    const closes = closesAtMs(m);
+    if (closes != null) {
+      const hoursLeft = (closes - now) / 3_600_000;
+      s.closing = Math.max(0, Math.min(1, 1 - hoursLeft / closingHorizonHours));
+    }
+
+    const pool = marketPoolsNear(m).totalPool;
+    const size = maxPool > 0 ? Math.log1p(pool) / Math.log1p(maxPool) : 0;
+    const prev = lastPool.get(m.id);
+    const growth = prev != null && pool > prev ? Math.min(1, (pool - prev) / Math.max(prev, 1)) : 0;
+    s.liquidity = 0.6 * size + 0.4 * growth;
+
+    const real = researchData?.[m.id]?.realOdds?.probabilities;
+    const odds = impliedOdds(m);
+    if (Array.isArray(real) && odds) {
+      const gap = Math.max(0, ...real.map((p, i) => Math.abs(p - (odds[i] ?? p))));
+      s.edge = Math.min(1, gap / 0.2);
+    }
+
+    const chat = chatByMarket?.[m.id] || [];
+    const seen = lastChatId.get(m.id) ?? 0;
+    const fresh = chat.filter(c => c.id > seen && !ownAccounts.has(c.account_id)).length;
+    s.chat = Math.min(1, fresh / 5);
+
+    const touched = lastTouched.get(m.id);
+    if (touched != null) s.stale = Math.min(1, (now - touched) / (staleHours * 3_600_000));
+
+    s.position = heldMarkets.has(m.id) ? 1 : 0;
+    return s;
+  }
+
+  /**
+   * Ранжировать рынки по скору (без записи состояния)
+   * @param {object[]} markets — активные рынки
+   * @param {object} [ctx]
+   * @param {object} [ctx.researchData] — { marketId: research }
+   * @param {object} [ctx.chatByMarket] — { marketId: [сообщения] }, если уже загружены
+   * @param {Iterable<number>} [ctx.heldMarkets] — рынки с открытыми позициями агентов
+   * @param {Iterable<string>} [ctx.ownAccounts] — аккаунты наших агентов (их сообщения не «новые»)
+   * @param {number} [ctx.now]
+   * @returns {object[]} — [{ market, score, signals }] по убыванию скора; закрытые рынки отброшены
+   */
+  function rank(markets, { researchData = {}, chatByMarket = {}, heldMarkets = [], ownAccounts = [], now = Date.now() } = {}) {
+    const ctx = {
+      now,
+      researchData,
+      chatByMarket,
+      heldMarkets: new Set(heldMarkets),
+      ownAccounts: new Set(ownAccounts),
+      maxPool: Math.max(0, ...markets.map(m => marketPoolsNear(m).totalPool)),
+    };
+
+    return markets
+      .filter(m => {
+        const closes = closesAtMs(m);
+        return closes == null || closes > now;
+      })
+      .map(m => {
+        const s = signals(m, ctx);
+        const score = Object.entries(s).reduce((sum, [k, v]) => sum + (W[k] || 0) * v, 0);
+        return { market: m, score, signals: s };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  return {
+    limit,
+    rank,
+
+    /**
+     * Выбрать рынки цикла: лучшие по скору + слоты ротации; запоминает показ
+     * @param {object[]} markets
+     * @param {object} [ctx] — как у rank()
+     * @returns {object[]} — рынки в порядке скора
+     */
+    select(markets, ctx = {}) {
+      const now = ctx.now ?? Date.now();
+      const ranked = rank(markets, { ...ctx, now });
+      const byScore = ranked.slice(0, Math.max(0, limit - rotationSlots));
+
+      // Ротация: давно не показанные (никогда — в первую очередь)
+      const chosen = new Set(byScore.map(r => r.market.id));
+      const rotation = ranked
+        .filter(r => !chosen.has(r.market.id))
+        .sort((a, b) => (lastShown.get(a.market.id) ?? 0) - (lastShown.get(b.market.id) ?? 0))
+        .slice(0, limit - byScore.length);
+      for (const r of rotation) chosen.add(r.market.id);
+
+      const selected = ranked.filter(r => chosen.has(r.market.id));
+      const rotationIds = new Set(rotation.map(r => r.market.id));
+
+      for (const { market } of selected) {
+        lastShown.set(market.id, now);
+        lastPool.set(market.id, marketPoolsNear(market).totalPool);
+        const chat = ctx.chatByMarket?.[market.id] || [];
+        if (chat.length > 0) lastChatId.set(market.id, Math.max(lastChatId.get(market.id) ?? 0, ...chat.map(c => c.id)));
+      }
+
+      const round = (s) => Object.fromEntries(Object.entries(s).map(([k, v]) => [k, +v.toFixed(2)]));
+      lastDecision = {
+        at: new Date(now).toISOString(),
+        active: markets.length,
+        selected: selected.map(r => ({
+          id: r.market.id,
+          score: +r.score.toFixed(2),
+          via: rotationIds.has(r.market.id) ? "rotation" : "score",
+          signals: round(r.signals),
+        })),
+        skipped: ranked.filter(r => !chosen.has(r.market.id)).map(r => ({
+          id: r.market.id,
+          score: +r.score.toFixed(2),
+          lastShown: lastShown.has(r.market.id) ? new Date(lastShown.get(r.market.id)).toISOString() : null,
+        })),
+        closed: markets.length - ranked.length,
+      };
+
+      return selected.map(r => r.market);
+    },
+
+    /** Агент поставил или написал в чат — рынок «тронут» */
+    touch(marketId, at = Date.now()) {
+      lastTouched.set(marketId, at);
+    },
+
+    /** Для /api/debug: последнее решение селектора */
+    snapshot() {
+      return lastDecision;
+    },
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Страница рынка — всё о рынке в одном ответе (/api/markets/:id)
+ *
+ * «Почему все налетели на #42?»: вопрос и пулы, позиции каждого агента
+ * с reasoning из памяти, чат с тредами, история research и odds.
+ * Здесь — только сборка (чистые функции); данные грузит src/index.js.
+ */
+
+import { aggregatePositions } from "./positions.js";
+import { marketPoolsNear } from "../utils/parimutuel.js";
+
+/** created_at из SQLite ("YYYY-MM-DD HH:MM:SS", UTC) или ISO → ISO */
+const isoTime = (t) => (t && !t.includes("T") ? `${t.replace(" ", "T")}Z` : t || null);
+
+/**
+ * Чат в треды: ответ — в replies родителя
+ * Сообщения агентов, которых нет в API (paper-режим не пишет в чат), берутся из их памяти.
+ * @param {object[]} apiChat — { id, account_id, message, reply_to, created_at }
+ * @param {object[]} agents — [{ name, avatar, accountId, chats: строки chat_log }]
+ * @returns {object[]} — корневые сообщения { id, author, agent, avatar, message, replyTo, createdAt, local, replies[] }
+ */
+export function chatThreads(apiChat, agents) {
+  const byAccount = new Map(agents.map(a => [a.accountId, a]));
+  const messages = apiChat.map(c => ({
+    id: c.id,
+    author: c.account_id,
+    agent: byAccount.get(c.account_id)?.name ?? null,
+    avatar: byAccount.get(c.account_id)?.avatar ?? null,
+    message: c.message,
+    replyTo: c.reply_to ?? null,
+    createdAt: isoTime(c.created_at),
+    local: false,
+    replies: [],
+  }));
+
+  const seen = new Set(messages.map(m => `${m.author}\n${m.message}`));
+  for (const a of agents) {
+    for (const row of a.chats) {
+      if (seen.has(`${a.accountId}\n${row.message}`)) continue;
+      messages.push({
+        id: `local-${a.name}-${row.id}`,
+        author: a.accountId,
+        agent: a.name,
+        avatar: a.avatar,
+        message: row.message,
+        replyTo: row.reply_to ?? null,
+        createdAt: isoTime(row.created_at),
+        local: true,
+        replies: [],
+      });
+    }
+  }
+  messages.sort((x, y) => Date.parse(x.createdAt) - Date.parse(y.createdAt));
+
+  // Родитель должен быть раньше ответа — так циклов не бывает; родителя нет в окне — ответ в корне
+  const placed = new Map();
+  const roots = [];
+  for (const m of messages) {
+    const parent = m.replyTo != null ? placed.get(m.replyTo) : null;
+    if (parent) parent.replies.push(m);
+    else roots.push(m);
+    placed.set(m.id, m);
+  }
+  return roots;
+}
+
+/**
+ * История odds: снимки оркестратора, цена входа каждой ставки агента + текущие пулы рынка
+ * @param {object|null} market — рынок из API (null — API недоступен)
+ * @param {object[]} agents — [{ name, bets: строки bets }]
+ * @param {object[]} [snapshots] — getOddsHistory() из odds-history.js
+ * @returns {object[]} — [{ at, source, totalPool, probabilities: { outcome: p } }] по времени
+ */
+export function oddsHistory(market, agents, snapshots = []) {
+  const points = snapshots.map(s => ({
+    at: new Date(s.at).toISOString(),
+    source: "recorded",
+    totalPool: s.totalPool,
+    probabilities: Object.fromEntries(s.probabilities.map((p, i) => [i, p])),
+  }));
+  for (const a of agents) {
+    for (const b of a.bets) {
+      if (b.odds_at_bet == null) continue;
+      points.push({
+        at: isoTime(b.created_at),
+        source: a.name,
+        totalPool: b.total_pool_at_bet,
+        probabilities: { [b.outcome]: b.odds_at_bet },
+      });
+    }
+  }
+  points.sort((x, y) => Date.parse(x.at) - Date.parse(y.at));
+
+  if (market) {
+    const { totalPool, outcomePools } = marketPoolsNear(market);
+    if (totalPool > 0) {
+      points.push({
+        at: new Date().toISOString(),
+        source: "current",
+        totalPool,
+        probabilities: Object.fromEntries(outcomePools.map((p, i) => [i, p / totalPool])),
+      });
+    }
+  }
+  return points;
+}
+
+/**
+ * Собрать ответ /api/markets/:id
+ * @param {object} input
+ * @param {number} input.marketId
+ * @param {object|null} input.market — рынок из API
+ * @param {string|null} input.marketError — почему рынка нет
+ * @param {string} input.deployment — deployment.label
+ * @param {object[]} input.agents — [{ name, avatar, accountId, mode, bets, chats }]
+ * @param {object[]} input.chat — чат рынка из API
+ * @param {object[]} input.research — getResearchHistory()
+ * @param {object[]} [input.snapshots] — getOddsHistory()
+ */
+export function buildMarketView({ marketId, market, marketError = null, deployment, agents, chat, research, snapshots = [] }) {
+  let pools = null;
+  if (market) {
+    const { totalPool, outcomePools } = marketPoolsNear(market);
+    pools = {
+      totalPool,
+      outcomePools,
+      probabilities: outcomePools.map(p => (totalPool > 0 ? p / totalPool : null)),
+    };
+  }
+
+  const involved = agents.filter(a => a.bets.length > 0 || a.chats.length > 0);
+
+  return {
+    marketId,
+    deployment,
+    market,
+    marketError,
+    pools,
+    agents: involved.map(a => ({
+      name: a.name,
+      avatar: a.avatar,
+      accountId: a.accountId,
+      mode: a.mode,
+      // Открытые позиции — как их видит мозг: pending, без orphaned
+      positions: aggregatePositions(a.bets.filter(b => b.result === "pending" && !b.orphaned)),
+      bets: a.bets.map(b => ({
+        id: b.id,
+        kind: b.kind,
+        outcome: b.outcome,
+        amount: b.amount_near,
+        oddsAtBet: b.odds_at_bet,
+        reasoning: b.reasoning,
+        result: b.result,
+        pnl: b.pnl_near,
+        orphaned: !!b.orphaned,
+        txHash: b.tx_hash,
+        createdAt: isoTime(b.created_at),
+      })),
+    })),
+    chat: chatThreads(chat, involved),
+    research,
+    odds: oddsHistory(market, involved, snapshots),
+  };
+}
@@ -1,11 +1,13 @@
 /**
  * Память агента — SQLite
  *
- * Хранит: историю ставок, результаты, P&L, заметки.
+ * Хранит: историю ставок, результаты, P&L, транзакции кошелька, заметки.
  * Каждый агент имеет свою БД в data/{name}.db
  */
 
 import Database from "better-sqlite3";
+import { aggregatePositions } from "./positions.js";
+import { diffBets, settledResult } from "./reconcile.js";
 
 export function createMemory(dbPath) {
   const db = new Database(dbPath);
@@ -35,6 +37,24 @@ export function createMemory(dbPath) {
       created_at TEXT DEFAULT (datetime('now'))
     );
 
+    -- Транзакции кошелька (каждый вызов в блокчейн, включая упавшие)
+    CREATE TABLE IF NOT EXISTS transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hash TEXT,
+      method TEXT NOT NULL,
+      args TEXT,
+      deposit TEXT,
+      receiver_id TEXT,
+      signer_id TEXT,
+      market_id INTEGER,
+      status TEXT NOT NULL,       -- success | partial | failed | error
+      gas_burnt TEXT,
+      tokens_burnt TEXT,          -- yocto
+      block_hash TEXT,
+      error TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
     -- Общие заметки / память
     CREATE TABLE IF NOT EXISTS notes (
       key TEXT PRIMARY KEY,
@@ -44,48 +64,153 @@ export function createMemory(dbPath) {
 
     CREATE INDEX IF NOT EXISTS idx_bets_market ON bets(market_id);
     CREATE INDEX IF NOT EXISTS idx_bets_result ON bets(result);
+    CREATE INDEX IF NOT EXISTS idx_transactions_hash ON transactions(hash);
   `);
 
+  // Миграции: новые колонки в существующих БД
+  const addColumn = (table, column, type) => {
+    const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!cols.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  };
+  addColumn("bets", "total_pool_at_bet", "REAL");   // весь пул рынка в момент ставки (NEAR)
+  addColumn("bets", "outcome_pool_at_bet", "REAL"); // пул выбранного исхода в момент ставки (NEAR)
+  addColumn("bets", "kind", "TEXT DEFAULT 'bet'");  // bet | add | hedge
+  addColumn("bets", "action_id", "INTEGER");         // id в очереди действий (queue.db)
+  addColumn("bets", "tx_hash", "TEXT");              // транзакция place_bet (transactions.hash)
+  addColumn("bets", "orphaned", "INTEGER DEFAULT 0"); // нет на блокчейне (см. reconcileWithChain)
+
   return {
-    /** Записать ставку */
-    recordBet(marketId, outcome, amountNear, odds, reasoning) {
+    /**
+     * Записать ставку
+     * @param {number|null} odds — implied-вероятность исхода в момент ставки (0..1)
+     * @param {object} [extra] — { totalPool, outcomePool } в NEAR на момент ставки, kind: bet | add | hedge,
+     *   actionId — id действия в очереди, txHash — хэш транзакции place_bet
+     */
+    recordBet(marketId, outcome, amountNear, odds, reasoning, { totalPool = null, outcomePool = null, kind = "bet", actionId = null, txHash = null } = {}) {
       return db.prepare(
-        "INSERT INTO bets (market_id, outcome, amount_near, odds_at_bet, reasoning) VALUES (?, ?, ?, ?, ?)"
-      ).run(marketId, outcome, amountNear, odds, reasoning);
+        "INSERT INTO bets (market_id, outcome, amount_near, odds_at_bet, reasoning, total_pool_at_bet, outcome_pool_at_bet, kind, action_id, tx_hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+      ).run(marketId, outcome, amountNear, odds, reasoning, totalPool, outcomePool, kind, actionId, txHash);
+    },
+
+    /**
+     * Записать транзакцию кошелька
+     * @param {object} tx — запись из wallet (см. core/transactions.js)
+     */
+    recordTransaction(tx) {
+      return db.prepare(`
+        INSERT INTO transactions (hash, method, args, deposit, receiver_id, signer_id, market_id, status, gas_burnt, tokens_burnt, block_hash, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        tx.hash, tx.method, JSON.stringify(tx.args ?? {}), tx.deposit, tx.receiverId, tx.signerId,
+        tx.args?.market_id ?? null, tx.status, tx.gasBurnt, tx.tokensBurnt, tx.blockHash, tx.error
+      );
     },
 
-    /** Обновить результат ставки */
-    resolveBet(marketId, result, pnl) {
+    /**
+     * Транзакции, новые сначала; bet_id — связанная ставка (по tx_hash)
+     * @param {object} [opts]
+     * @param {number} [opts.limit]
+     * @param {string} [opts.status] — success | partial | failed | error
+     */
+    getTransactions({ limit = 50, status = null } = {}) {
+      return db.prepare(`
+        SELECT t.*, b.id as bet_id FROM transactions t
+        LEFT JOIN bets b ON t.hash IS NOT NULL AND b.tx_hash = t.hash
+        WHERE (? IS NULL OR t.status = ?)
+        ORDER BY t.id DESC LIMIT ?
+      `).all(status, status, limit).map(r => ({ ...r, args: JSON.parse(r.args || "{}") }));
+    },
+
+    /**
+     * Обновить результат одной ставки — у каждого входа в позицию свой P&L
+     * @param {number} betId — id строки bets
+     */
+    resolveBet(betId, result, pnl) {
       db.prepare(
-        "UPDATE bets SET result = ?, pnl_near = ?, resolved_at = datetime('now') WHERE market_id = ? AND result = 'pending'"
-      ).run(result, pnl, marketId);
+        "UPDATE bets SET result = ?, pnl_near = ?, resolved_at = datetime('now') WHERE id = ? AND result = 'pending'"
+      ).run(result, pnl, betId);
+    },
+
+    /** Записана ли ставка от этого действия очереди */
+    hasBetForAction(actionId) {
+      return !!db.prepare("SELECT 1 FROM bets WHERE action_id = ? LIMIT 1").get(actionId);
+    },
+
+    /** Сколько таких ставок (рынок, исход, сумма) записано с момента since (мс) */
+    countBetsSince(marketId, outcome, amountNear, since) {
+      return db.prepare(`
+        SELECT COUNT(*) as c FROM bets
+        WHERE market_id = ? AND outcome = ? AND ABS(amount_near - ?) < 0.001
+          AND datetime(created_at) >= datetime(?)
+      `).get(marketId, outcome, amountNear, new Date(since).toISOString()).c;
+    },
+
+    /**
+     * Сколько таких же ставок с момента since (мс) записали ДРУГИЕ действия очереди —
+     * для сверки с блокчейном. Строки, импортированные сверкой (без action_id), не считаются:
+     * это зеркало цепочки, а не отдельные ставки.
+     */
+    countQueuedBetsSince(marketId, outcome, amountNear, since, exceptActionId) {
+      return db.prepare(`
+        SELECT COUNT(*) as c FROM bets
+        WHERE market_id = ? AND outcome = ? AND ABS(amount_near - ?) < 0.001
+          AND action_id IS NOT NULL AND action_id != ?
+          AND datetime(created_at) >= datetime(?)
+      `).get(marketId, outcome, amountNear, exceptActionId, new Date(since).toISOString()).c;
     },
 
-    /** Ставки на конкретный рынок */
+    /** Ставки на конкретный рынок (в порядке записи) */
     getBetsForMarket(marketId) {
-      return db.prepare("SELECT * FROM bets WHERE market_id = ?").all(marketId);
+      return db.prepare("SELECT * FROM bets WHERE market_id = ? ORDER BY id").all(marketId);
     },
 
-    /** Все pending ставки */
+    /** Все pending ставки (кроме orphaned — их нет на блокчейне) */
     getPendingBets() {
-      return db.prepare("SELECT * FROM bets WHERE result = 'pending'").all();
+      return db.prepare("SELECT * FROM bets WHERE result = 'pending' AND orphaned = 0").all();
+    },
+
+    /** Открытые позиции — pending ставки, свёрнутые по (рынок, исход) */
+    getPositions() {
+      return aggregatePositions(this.getPendingBets());
     },
 
     /** Суммарный P&L */
     getTotalPnL() {
-      const row = db.prepare("SELECT COALESCE(SUM(pnl_near), 0) as total FROM bets WHERE result != 'pending'").get();
+      const row = db.prepare("SELECT COALESCE(SUM(pnl_near), 0) as total FROM bets WHERE result != 'pending' AND orphaned = 0").get();
       return row.total;
     },
 
-    /** Статистика: всего ставок, выиграно, проиграно */
+    /** Экспозиция — сумма pending ставок: { total, byMarket: { marketId: NEAR } } */
+    getExposure() {
+      const rows = db.prepare(
+        "SELECT market_id, SUM(amount_near) as s FROM bets WHERE result = 'pending' AND orphaned = 0 GROUP BY market_id"
+      ).all();
+      const byMarket = {};
+      let total = 0;
+      for (const r of rows) {
+        byMarket[r.market_id] = r.s;
+        total += r.s;
+      }
+      return { total, byMarket };
+    },
+
+    /** Реализованный P&L за текущие сутки (UTC) */
+    getDailyPnL() {
+      return db.prepare(
+        "SELECT COALESCE(SUM(pnl_near), 0) as s FROM bets WHERE result != 'pending' AND orphaned = 0 AND resolved_at >= date('now')"
+      ).get().s;
+    },
+
+    /** Статистика: всего ставок, выиграно, проиграно (orphaned — отдельно, в остальное не входят) */
     getStats() {
-      const total = db.prepare("SELECT COUNT(*) as c FROM bets").get().c;
-      const won = db.prepare("SELECT COUNT(*) as c FROM bets WHERE result = 'won'").get().c;
-      const lost = db.prepare("SELECT COUNT(*) as c FROM bets WHERE result = 'lost'").get().c;
-      const pending = db.prepare("SELECT COUNT(*) as c FROM bets WHERE result = 'pending'").get().c;
+      const total = db.prepare("SELECT COUNT(*) as c FROM bets WHERE orphaned = 0").get().c;
+      const won = db.prepare("SELECT COUNT(*) as c FROM bets WHERE result = 'won' AND orphaned = 0").get().c;
+      const lost = db.prepare("SELECT COUNT(*) as c FROM bets WHERE result = 'lost' AND orphaned = 0").get().c;
+      const pending = db.prepare("SELECT COUNT(*) as c FROM bets WHERE result = 'pending' AND orphaned = 0").get().c;
+      const orphaned = db.prepare("SELECT COUNT(*) as c FROM bets WHERE orphaned = 1").get().c;
       const pnl = this.getTotalPnL();
-      const totalBet = db.prepare("SELECT COALESCE(SUM(amount_near), 0) as s FROM bets").get().s;
-      return { total, won, lost, pending, pnl, totalBet, winRate: total > 0 ? (won / (won + lost) || 0) : 0 };
+      const totalBet = db.prepare("SELECT COALESCE(SUM(amount_near), 0) as s FROM bets WHERE orphaned = 0").get().s;
+      return { total, won, lost, pending, orphaned, pnl, totalBet, winRate: total > 0 ? (won / (won + lost) || 0) : 0 };
     },
 
     /** Последние N ставок */
@@ -98,6 +223,11 @@ export function createMemory(dbPath) {
       db.prepare("INSERT INTO chat_log (market_id, message, reply_to) VALUES (?, ?, ?)").run(marketId, message, replyTo);
     },
 
+    /** Сообщения агента в чат рынка (в порядке отправки) */
+    getChatsForMarket(marketId) {
+      return db.prepare("SELECT * FROM chat_log WHERE market_id = ? ORDER BY id").all(marketId);
+    },
+
     /** Сохранить/обновить заметку */
     setNote(key, value) {
       db.prepare("INSERT OR REPLACE INTO notes (key, value, updated_at) VALUES (?, ?, datetime('now'))").run(key, value);
@@ -115,72 +245,84 @@ export function createMemory(dbPath) {
     },
 
     /**
-     * Восстановить историю ставок из блокчейна (после потери SQLite)
+     * Сверить ставки с блокчейном (см. core/reconcile.js) — без удаления локальных
+     *   - недостающие на блокчейне импортируются (итог — по состоянию рынка)
+     *   - локальные без пары помечаются orphaned и выпадают из позиций, экспозиции и P&L
+     *   - сопоставленные снимают флаг orphaned; неверный итог исправляется по рынку.
+     *     Pending на завершённом рынке не трогаем — его закроет checkResolutions вместе с клеймом
      * @param {object[]} chainBets — результат get_user_bets из контракта
      * @param {object[]} markets — все рынки из API
+     * @returns {object} — отчёт сверки (сохраняется, см. getReconcileReport)
      */
-    syncFromChain(chainBets, markets) {
-      const existing = db.prepare("SELECT COUNT(*) as c FROM bets").get().c;
-      const chainCount = chainBets?.length || 0;
-
-      console.log(`[syncFromChain] Локальных ставок: ${existing}, на блокчейне: ${chainCount}`);
-
-      // Если локальные данные расходятся с цепочкой — сбрасываем и пересинхронизируем
-      // (контракт мог быть передеплоен, или ставки потеряны)
-      if (existing > 0 && existing !== chainCount) {
-        db.prepare("DELETE FROM bets").run();
-        console.log(`[syncFromChain] Удалено ${existing} устаревших локальных ставок`);
-      } else if (existing > 0 && existing === chainCount) {
-        return 0; // данные совпадают — пропускаем
-      }
-
-      if (chainCount === 0) return 0;
-
+    reconcileWithChain(chainBets, markets) {
       const marketsById = {};
       for (const m of markets) marketsById[m.id] = m;
 
+      const local = db.prepare("SELECT * FROM bets ORDER BY id").all();
+      const { matched, missing, orphaned, ignored } = diffBets(local, chainBets || [], marketsById);
+
       const insert = db.prepare(
         "INSERT INTO bets (market_id, outcome, amount_near, odds_at_bet, reasoning, result, pnl_near, created_at, resolved_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)"
       );
+      const setOrphaned = db.prepare("UPDATE bets SET orphaned = ? WHERE id = ?");
+      const setResult = db.prepare("UPDATE bets SET result = ?, pnl_near = ?, resolved_at = COALESCE(resolved_at, datetime('now')) WHERE id = ?");
 
-      let synced = 0;
-      const tx = db.transaction(() => {
-        for (const bet of chainBets) {
-          const market = marketsById[bet.marketId];
-          if (!market) continue;
-
-          // Пропускаем осиротевшие ставки от старых контрактов
-          if (Number(bet.timestamp) < Number(market.createdAt)) continue;
-
-          const amountNear = Number(bet.amount) / 1e24;
-          let result = "pending";
-          let pnl = 0;
-
-          if (market.status === "resolved") {
-            const won = market.resolvedOutcome === bet.outcome;
-            result = won ? "won" : "lost";
-            if (won) {
-              const totalPool = Number(market.totalPool) / 1e24;
-              const winPool = Number(market.outcomePools[bet.outcome]) / 1e24;
-              pnl = winPool > 0 ? (amountNear * totalPool / winPool) - amountNear : 0;
-            } else {
-              pnl = -amountNear;
-            }
-          } else if (market.status === "voided") {
-            result = "voided";
-            pnl = 0;
-          }
+      const report = {
+        at: new Date().toISOString(),
+        local: local.length,
+        chain: chainBets?.length || 0,
+        matched: matched.length,
+        inserted: [],
+        orphaned: [],
+        restored: [],
+        statusUpdated: [],
+        awaitingSettlement: 0,
+        ignored: ignored.length,
+      };
 
+      db.transaction(() => {
+        for (const c of missing) {
+          const settled = settledResult(marketsById[c.marketId], c.outcome, c.amountNear);
           // Таймстамп из контракта (наносекунды → ISO строка)
-          const createdAt = new Date(Number(bet.timestamp) / 1e6).toISOString();
-          const resolvedAt = result !== "pending" ? new Date().toISOString() : null;
+          insert.run(
+            c.marketId, c.outcome, c.amountNear, null, "synced from chain",
+            settled?.result || "pending", settled?.pnl || 0,
+            new Date(c.timeMs).toISOString(), settled ? new Date().toISOString() : null
+          );
+          report.inserted.push({ marketId: c.marketId, outcome: c.outcome, amountNear: c.amountNear, result: settled?.result || "pending" });
+        }
+
+        for (const { local: l } of matched) {
+          if (l.orphaned) {
+            setOrphaned.run(0, l.id);
+            report.restored.push(l.id);
+          }
+          const settled = settledResult(marketsById[l.market_id], l.outcome, l.amount_near);
+          if (!settled) continue;
+          if (l.result === "pending") {
+            report.awaitingSettlement++;
+          } else if (l.result !== settled.result) {
+            setResult.run(settled.result, settled.pnl, l.id);
+            report.statusUpdated.push({ id: l.id, marketId: l.market_id, from: l.result, to: settled.result });
+          }
+        }
 
-          insert.run(bet.marketId, bet.outcome, amountNear, null, "synced from chain", result, pnl, createdAt, resolvedAt);
-          synced++;
+        for (const l of orphaned) {
+          if (l.orphaned) continue;
+          setOrphaned.run(1, l.id);
+          report.orphaned.push({ id: l.id, marketId: l.market_id, outcome: l.outcome, amountNear: l.amount_near, createdAt: l.created_at });
         }
-      });
-      tx();
-      return synced;
+      })();
+
+      report.orphanedTotal = db.prepare("SELECT COUNT(*) as c FROM bets WHERE orphaned = 1").get().c;
+      this.setNote("reconcile_report", JSON.stringify(report));
+      return report;
+    },
+
+    /** Последний отчёт сверки с блокчейном (или null) */
+    getReconcileReport() {
+      const raw = this.getNote("reconcile_report");
+      return raw ? JSON.parse(raw) : null;
     },
 
     /** Принудительно удалить все ставки (для сброса stale данных) */
@@ -0,0 +1,187 @@
+/**
+ * История odds — снимки цен рынков каждый цикл и сигналы движения
+ *
+ * Оркестратор пишет снимок на каждый активный рынок цикла: доли пулов
+ * исходов + размеры пулов (один источник для всех рынков — см. source).
+ * Из снимков — изменение за 1ч/6ч/24ч и резкие скачки между соседними
+ * снимками: мозгу есть чем подкрепить «YES moved from 30 to 45 in an hour».
+ *
+ * Хранится по деплойменту (id рынков разных контрактов пересекаются),
+ * время — мс epoch, старше RETENTION_DAYS удаляется при открытии БД.
+ */
+
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+
+const DB_PATH = path.join("data", "odds-history.db");
+const RETENTION_DAYS = 14;
+
+const HOUR = 3600_000;
+
+/** Окна изменения цены; базовый снимок — ближайший к (последний − ms), не дальше ms/2 */
+export const MOVE_WINDOWS = [
+  { label: "1h", ms: HOUR },
+  { label: "6h", ms: 6 * HOUR },
+  { label: "24h", ms: 24 * HOUR },
+];
+
+/** Резкий скачок: между соседними снимками (не дальше maxGapMs) цена сдвинулась на threshold+ */
+export const SUDDEN_MOVE = { threshold: 0.1, maxGapMs: 30 * 60_000, lookbackMs: 6 * HOUR };
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  db = new Database(DB_PATH);
+  db.pragma("journal_mode = WAL");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS odds_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      deployment TEXT NOT NULL DEFAULT '',
+      market_id INTEGER NOT NULL,
+      probabilities TEXT NOT NULL,
+      outcome_pools TEXT,
+      total_pool REAL,
+      source TEXT,
+      at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_odds_market ON odds_snapshots(deployment, market_id, at);
+  `);
+
+  db.prepare("DELETE FROM odds_snapshots WHERE at < ?").run(Date.now() - RETENTION_DAYS * 24 * HOUR);
+
+  return db;
+}
+
+/**
+ * Записать снимок odds рынка
+ * @param {number} marketId
+ * @param {object} snapshot
+ * @param {number[]} snapshot.probabilities — вероятности исходов (сумма 1)
+ * @param {number[]} [snapshot.outcomePools] — пулы исходов (NEAR)
+ * @param {number} [snapshot.totalPool] — общий пул (NEAR)
+ * @param {string} [snapshot.source] — "pools" (доли пулов); "odds" — нормализованные odds API в старых записях
+ * @param {string} deployment — deployment.key рынка
+ * @param {number} [at] — время снимка (мс)
+ */
+export function recordOdds(marketId, { probabilities, outcomePools = null, totalPool = null, source = "odds" }, deployment = "", at = Date.now()) {
+  getDb().prepare(`
+    INSERT INTO odds_snapshots (deployment, market_id, probabilities, outcome_pools, total_pool, source, at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    deployment,
+    marketId,
+    JSON.stringify(probabilities),
+    outcomePools ? JSON.stringify(outcomePools) : null,
+    totalPool,
+    source,
+    at
+  );
+}
+
+/**
+ * Снимки рынка по времени (старые первыми)
+ * @param {number} marketId
+ * @param {string} deployment
+ * @param {object} [opts]
+ * @param {number} [opts.since] — не раньше (мс)
+ * @returns {object[]} — [{ at, probabilities, outcomePools, totalPool, source }]
+ */
+export function getOddsHistory(marketId, deployment = "", { since = 0 } = {}) {
+  return getDb().prepare(
+    "SELECT * FROM odds_snapshots WHERE deployment = ? AND market_id = ? AND at >= ? ORDER BY at, id"
+  ).all(deployment, marketId, since).map(row => ({
+    at: row.at,
+    probabilities: JSON.parse(row.probabilities),
+    outcomePools: row.outcome_pools ? JSON.parse(row.outcome_pools) : null,
+    totalPool: row.total_pool,
+    source: row.source,
+  }));
+}
+
+/** Исход с наибольшим |изменением| между двумя снимками */
+function biggestChange(from, to) {
+  let best = null;
+  to.probabilities.forEach((p, outcome) => {
+    const before = from.probabilities[outcome];
+    if (before == null || p == null) return;
+    const change = p - before;
+    // Бинарный рынок: исходы двигаются зеркально — при равенстве берём первый (YES)
+    if (!best || Math.abs(change) > Math.abs(best.change) + 1e-9) best = { outcome, from: before, to: p, change };
+  });
+  return best;
+}
+
+/**
+ * Сигналы движения цены из снимков (чистая функция)
+ * @param {object[]} snapshots — getOddsHistory(), по времени
+ * @param {number} [now]
+ * @returns {object|null} — { windows: { "1h": { outcome, from, to, change, minutes } | null, ... },
+ *   sudden: { outcome, from, to, change, minutes, agoMinutes } | null }; null — снимков нет
+ */
+export function oddsMovement(snapshots, now = Date.now()) {
+  if (snapshots.length === 0) return null;
+  // Сравниваем только снимки одного источника: odds API и доли пулов расходятся на пустых пулах
+  const source = snapshots[snapshots.length - 1].source;
+  snapshots = snapshots.filter(s => s.source === source);
+  const latest = snapshots[snapshots.length - 1];
+
+  const windows = {};
+  for (const { label, ms } of MOVE_WINDOWS) {
+    const target = latest.at - ms;
+    let base = null;
+    for (const s of snapshots) {
+      if (s === latest || Math.abs(s.at - target) > ms / 2) continue;
+      if (!base || Math.abs(s.at - target) < Math.abs(base.at - target)) base = s;
+    }
+    const change = base && biggestChange(base, latest);
+    windows[label] = change ? { ...change, minutes: Math.round((latest.at - base.at) / 60_000) } : null;
+  }
+
+  let sudden = null;
+  for (let i = 1; i < snapshots.length; i++) {
+    const prev = snapshots[i - 1];
+    const cur = snapshots[i];
+    if (cur.at < now - SUDDEN_MOVE.lookbackMs || cur.at - prev.at > SUDDEN_MOVE.maxGapMs) continue;
+    const change = biggestChange(prev, cur);
+    if (!change || Math.abs(change.change) < SUDDEN_MOVE.threshold) continue;
+    if (!sudden || Math.abs(change.change) > Math.abs(sudden.change)) {
+      sudden = {
+        ...change,
+        minutes: Math.max(1, Math.round((cur.at - prev.at) / 60_000)),
+        agoMinutes: Math.round((now - cur.at) / 60_000),
+      };
+    }
+  }
+
+  return { windows, sudden };
+}
+
+/**
+ * Сигналы движения по рынкам деплоймента — для промпта
+ * @param {number[]} marketIds
+ * @param {string} deployment
+ * @returns {object} — { marketId: oddsMovement() }, рынки без снимков пропущены
+ */
+export function getOddsMovements(marketIds, deployment = "", now = Date.now()) {
+  const longest = Math.max(...MOVE_WINDOWS.map(w => w.ms));
+  const since = now - longest * 1.5;
+  const result = {};
+  for (const id of marketIds) {
+    const movement = oddsMovement(getOddsHistory(id, deployment, { since }), now);
+    if (movement) result[id] = movement;
+  }
+  return result;
+}
+
+export function closeOddsDb() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
@@ -1,14 +1,35 @@
 /**
  * Оркестратор — единый цикл для всех агентов
  *
- * Один LLM-вызов за цикл вместо 5. Экономия ~5x на Venice API.
+ * Один LLM-вызов за цикл вместо 5. Экономия ~5x на Venice API
+ * (реальные расходы — /api/llm-usage, бюджеты — см. llm-usage.js).
  * Рынки, чаты, odds загружаются один раз и шарятся между агентами.
+ * У каждого агента свой ритм (cycleMinutes) — цикл получает только тех,
+ * кому пора действовать (см. scheduler.js).
+ * Какие рынки попадут в промпт — решает селектор (см. market-selector.js).
+ * Агенты разных деплойментов (сеть/контракт/API, см. deployment.js) идут
+ * группами: у каждой группы свои рынки, селектор, research и LLM-вызов.
+ * Правки agents/ (config-watcher.js) применяются между циклами:
+ * новый агент, обновлённый конфиг, снятый агент.
+ * Админ-API (src/index.js) ставит оркестратор или агента на паузу и кладёт
+ * задачи — внеочередной цикл, research, ручные действия — в betweenCycles():
+ * они тоже исполняются между циклами, а не посреди чужого.
  */
 
+import path from "path";
+import { Agent, RESTART_KEYS } from "./agent.js";
+
 import { createMarketAPI } from "./market-api.js";
+import { createScheduler } from "./scheduler.js";
+import { createMarketSelector } from "./market-selector.js";
+import { budgetLevel } from "./llm-usage.js";
 import { getAllResearch, hasRecentResearch, saveResearch } from "./shared-research.js";
+import { recordOdds, getOddsMovements } from "./odds-history.js";
+import { marketPoolsNear } from "../utils/parimutuel.js";
 import { thinkAll } from "../brain/brain.js";
-import { callLLMJson } from "../utils/venice.js";
+import { callLLMJson } from "../utils/llm.js";
+import { buildRouteChain } from "../utils/llm-providers.js";
+import { researchSchema, checkResearch } from "../brain/schemas.js";
 import { createLogger } from "../utils/logger.js";
 
 const log = createLogger("Orchestrator", "🎯");
@@ -17,74 +38,365 @@ const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 export class Orchestrator {
   constructor(agents, env) {
     this.agents = agents;
-    this.api = createMarketAPI(env.NEARCAST_API);
     this.env = env;
     this.running = false;
     this.cycleCount = 0;
+    this.scheduler = createScheduler(agents);
+    // deployment.key → { deployment, api, selector, lastCycleError }
+    // lastCycleError — { at, message }: цикл группы сорвался из-за NearCast API
+    this.deployments = new Map();
+    for (const agent of agents) this.deploymentOf(agent);
     this.balances = {}; // { agentName: { near, contract } } — кэш для /api/balances
+    this.budget = null; // последний budgetLevel() — для /api/llm-usage
+    this.pendingConfigChanges = []; // от config-watcher, применяются между циклами
+    this.failedConfigChanges = new Map(); // file → изменение, после которого агент не поднялся; повтор каждый цикл
+    this.pendingTasks = []; // betweenCycles(): задачи админ-API
+    this.paused = false; // пауза всего оркестратора (не переживает рестарт)
+    this.wakeUp = null; // прервать сон (изменения конфигов, задачи)
+  }
+
+  /** Группа деплоймента агента (создаётся при первом обращении) */
+  deploymentOf(agent) {
+    const d = agent.deployment;
+    if (!this.deployments.has(d.key)) {
+      this.deployments.set(d.key, {
+        deployment: d,
+        api: createMarketAPI(d.nearcastApi),
+        selector: createMarketSelector(),
+        lastCycleError: null,
+      });
+    }
+    return this.deployments.get(d.key);
   }
 
   async start() {
     this.running = true;
     log.info(`═══ Оркестратор запущен (${this.agents.length} агентов) ═══`);
+    for (const group of this.deployments.values()) {
+      const names = this.agents.filter(a => this.deploymentOf(a) === group).map(a => a.config.name);
+      log.info(`  ${group.deployment.label}: ${names.join(", ")}`);
+    }
 
-    // Сразу пушим актуальные stats (после syncFromChain в init)
-    log.info("Начальный pushAllStats (после syncFromChain)...");
+    // Сразу пушим актуальные stats (после сверки с блокчейном в init)
+    log.info("Начальный pushAllStats (после сверки)...");
     await this.pushAllStats();
 
-    // Первоначальное пополнение всех кошельков
-    for (const agent of this.agents) {
+    for (const agent of this.agents) await this.prepareAgent(agent);
+
+    while (this.running) {
+      await this.applyConfigChanges();
+      await this.runPendingTasks();
+
+      // На паузе агенты пропускают свой запуск — следующий по обычному расписанию
+      const ready = this.scheduler.due();
+      const due = this.paused ? [] : ready.filter(a => !a.paused);
+      for (const agent of ready) {
+        if (!due.includes(agent)) this.scheduler.reschedule(agent);
+      }
+
+      if (due.length > 0) {
+        try {
+          await this.cycle(due);
+        } catch (err) {
+          log.error(`Ошибка цикла: ${err.message}`);
+        }
+        // Следующий запуск — от конца цикла, у каждого агента свой интервал
+        for (const agent of due) this.scheduler.reschedule(agent);
+      }
+
+      // Конфиги или задачи пришли во время цикла — сначала применить, спать потом
+      const pending = this.pendingConfigChanges.length > 0 || this.pendingTasks.length > 0;
+      const sleepMs = pending ? 0 : this.scheduler.msUntilNext();
+      if (sleepMs > 0) {
+        log.info(`Сплю ${(sleepMs / 60000).toFixed(1)} мин...`);
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, sleepMs);
+          this.wakeUp = () => { clearTimeout(timer); resolve(); };
+        });
+        this.wakeUp = null;
+      }
+    }
+  }
+
+  /** Первоначальное пополнение кошелька и доисполнение очереди после рестарта */
+  async prepareAgent(agent) {
+    try {
+      await agent.wallet.ensureFunded(10);
+      await agent.wallet.ensureContractBalance(5);
+    } catch (err) {
+      agent.log.error(`Ошибка пополнения: ${err.message}`);
+    }
+
+    // Действия, прерванные прошлым рестартом: сверка с блокчейном и доисполнение
+    try {
+      const confirmed = await agent.recoverQueue();
+      if (confirmed > 0) agent.log.info(`Очередь: ${confirmed} прерванных действий уже на блокчейне`);
+      await agent.processQueue();
+    } catch (err) {
+      agent.log.error(`Ошибка восстановления очереди: ${err.message}`);
+    }
+  }
+
+  // ── Управление (админ-API) ───────────────────────────────
+
+  /**
+   * Выполнить fn между циклами (будит спящий оркестратор)
+   * @returns {Promise<*>} — результат fn
+   */
+  betweenCycles(fn) {
+    return new Promise((resolve, reject) => {
+      this.pendingTasks.push({ fn, resolve, reject });
+      this.wakeUp?.();
+    });
+  }
+
+  async runPendingTasks() {
+    for (const task of this.pendingTasks.splice(0)) {
       try {
-        await agent.wallet.ensureFunded(10);
-        await agent.wallet.ensureContractBalance(5);
+        task.resolve(await task.fn());
       } catch (err) {
-        agent.log.error(`Ошибка пополнения: ${err.message}`);
+        log.error(`Задача между циклами: ${err.message}`);
+        task.reject(err);
       }
     }
+  }
 
-    while (this.running) {
+  /** Пауза всего оркестратора: циклы не идут, задачи betweenCycles — идут */
+  pause() {
+    this.paused = true;
+    log.warn("Оркестратор на паузе");
+  }
+
+  resume() {
+    this.paused = false;
+    log.info("Оркестратор снят с паузы");
+    this.wakeUp?.();
+  }
+
+  /**
+   * Внеочередной цикл для агентов (в т.ч. на паузе — оператор просит явно)
+   * Следующий плановый запуск — от конца этого цикла.
+   */
+  requestCycle(agents = this.agents) {
+    return this.betweenCycles(async () => {
+      await this.cycle(agents);
+      for (const agent of agents) this.scheduler.reschedule(agent);
+    });
+  }
+
+  /** Research рынка вне расписания и без оглядки на свежий research */
+  requestResearch(agent, marketId) {
+    return this.betweenCycles(async () => {
+      const group = this.deploymentOf(agent);
+      const market = await group.api.getMarket(marketId);
+      if (!market) throw new Error(`Рынок #${marketId} не найден`);
+      await this.doResearch(agent, [market], group.deployment.key, { force: true });
+    });
+  }
+
+  // ── Горячая перезагрузка агентов ─────────────────────────
+
+  /** Изменения конфигов от config-watcher — применятся до следующего цикла */
+  queueConfigChanges(changes) {
+    this.pendingConfigChanges.push(...changes);
+    this.wakeUp?.();
+  }
+
+  /**
+   * Применить накопленные изменения (вызывается только между циклами)
+   * Агент не поднялся (init, RPC, faucet) — добавление повторяется каждый цикл,
+   * пока не получится или файл не изменят снова: watcher второй раз об этом файле не скажет.
+   */
+  async applyConfigChanges() {
+    const fresh = this.pendingConfigChanges.splice(0);
+    for (const change of fresh) this.failedConfigChanges.delete(change.file);
+    const retries = [...this.failedConfigChanges.values()];
+    this.failedConfigChanges.clear();
+
+    for (const change of [...retries, ...fresh]) {
       try {
-        await this.cycle();
+        await this.applyConfigChange(change);
       } catch (err) {
-        log.error(`Ошибка цикла: ${err.message}`);
+        const down = change.config && !this.agents.some(a => a.configPath === change.file);
+        log.error(`Конфиг ${path.basename(change.file)}: ${err.message}${down ? " — повторю в следующем цикле" : ""}`);
+        if (down) this.failedConfigChanges.set(change.file, { ...change, type: "added" });
       }
+    }
+  }
 
-      // Единый интервал: 10-20 мин
-      const sleepMs = (10 + Math.random() * 10) * 60 * 1000;
-      log.info(`Сплю ${(sleepMs / 60000).toFixed(1)} мин...`);
-      await sleep(sleepMs);
+  /**
+   * Одно изменение: новый файл — новый агент, enabled: false или удаление — снять,
+   * правка RESTART_KEYS — пересоздать, остальное — на живом агенте
+   */
+  async applyConfigChange({ type, file, config: fileConfig, diff }) {
+    // Копия: init() дописывает в конфиг accountId, а снимок watcher'а должен остаться как в файле
+    const config = fileConfig && structuredClone(fileConfig);
+    const current = this.agents.find(a => a.configPath === file);
+    const enabled = config != null && config.enabled !== false;
+
+    if (!current) {
+      if (enabled) await this.addAgent(config, file, diff);
+      return;
+    }
+    if (!enabled) {
+      await this.retireAgent(current, type === "removed" ? "file removed" : "disabled", diff);
+      return;
     }
+    if (RESTART_KEYS.some(k => k in diff)) {
+      await this.retireAgent(current, "restart", diff);
+      await this.addAgent(config, file, diff);
+      return;
+    }
+    current.applyConfig(config, diff);
   }
 
-  async cycle() {
+  /** Инициализировать, пополнить и поставить в расписание нового агента */
+  async addAgent(config, file, diff = {}) {
+    if (this.agents.some(a => a.config.name === config.name)) {
+      throw new Error(`агент с именем ${config.name} уже запущен`);
+    }
+    const agent = new Agent(config, this.env, file);
+    try {
+      await agent.init();
+    } catch (err) {
+      agent.stop(); // закрыть то, что init успел открыть — повтор создаст агента заново
+      throw err;
+    }
+    await this.prepareAgent(agent);
+
+    this.agents.push(agent);
+    this.deploymentOf(agent);
+    this.scheduler.add(agent);
+
+    log.info(`+ Агент ${config.name} добавлен (${path.basename(file)})`);
+    agent.dashboard.pushEvent("config", {
+      message: `Agent added (${path.basename(file)})`,
+      metadata: { action: "added", diff },
+    });
+    return agent;
+  }
+
+  /** Снять агента: закрыть его БД и убрать из расписания (очередь действий остаётся на диске) */
+  async retireAgent(agent, reason, diff = {}) {
+    const name = agent.config.name;
+    agent.dashboard.pushEvent("config", {
+      message: `Agent retired: ${reason}`,
+      metadata: { action: "retired", reason, diff },
+    });
+
+    this.scheduler.remove(agent);
+    this.agents.splice(this.agents.indexOf(agent), 1);
+    delete this.balances[name];
+    agent.dashboard.removeStats();
+    agent.stop();
+
+    // Деплоймент без агентов больше не нужен
+    const key = agent.deployment.key;
+    if (!this.agents.some(a => a.deployment.key === key)) this.deployments.delete(key);
+
+    log.info(`− Агент ${name} снят (${reason})`);
+  }
+
+  /**
+   * Один цикл для агентов, которым пора действовать
+   * @param {object[]} dueAgents — по умолчанию все агенты
+   */
+  async cycle(dueAgents = this.agents) {
     this.cycleCount++;
-    log.info(`─── Цикл #${this.cycleCount} ───`);
+    log.info(`─── Цикл #${this.cycleCount} (${dueAgents.map(a => a.config.name).join(", ")}) ───`);
 
-    // 0. Проверяем резолвнутые рынки для ВСЕХ агентов (до загрузки активных)
-    for (const agent of this.agents) {
+    for (const agent of dueAgents) agent.cycleCount++;
+
+    // 0. Проверяем резолвнутые рынки (до загрузки активных)
+    for (const agent of dueAgents) {
       await agent.checkResolutions();
     }
 
-    // 1. Загружаем рынки (ОДИН раз для всех)
-    const markets = await this.api.getMarkets({ status: "active" });
-    log.info(`Активных рынков: ${markets.length}`);
+    // Бюджет LLM: на исходе — без research, затем дешёвая модель, затем цикл без LLM
+    const budget = budgetLevel();
+    this.budget = budget;
+    if (budget.level !== "ok") {
+      log.warn(`Бюджет LLM: ${budget.level} (час $${budget.spent.hour.toFixed(3)}, сутки $${budget.spent.day.toFixed(3)})`);
+    }
+    if (budget.level === "skip") {
+      log.warn("Бюджет LLM исчерпан — цикл пропущен");
+      await this.pushAllStats({ snapshot: true });
+      return;
+    }
+
+    // Группы по деплойменту: рынки одного контракта, один LLM-вызов на группу
+    const groups = new Map();
+    for (const agent of dueAgents) {
+      const group = this.deploymentOf(agent);
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(agent);
+    }
+    for (const [group, agents] of groups) {
+      try {
+        await this.cycleDeployment(group, agents, budget);
+      } catch (err) {
+        log.error(`${group.deployment.label}: ошибка цикла: ${err.message}`);
+      }
+    }
+
+    // 9. Push stats для ВСЕХ + точка в историю (кривая капитала)
+    await this.pushAllStats({ snapshot: true });
+  }
+
+  /**
+   * Цикл одной группы деплоймента
+   * @param {object} group — из deploymentOf()
+   * @param {object[]} dueAgents — агенты группы, которым пора действовать
+   * @param {object} budget — budgetLevel() цикла
+   */
+  async cycleDeployment(group, dueAgents, budget) {
+    const { api, selector, deployment } = group;
+    // С одним деплойментом метка в логах не нужна
+    const tag = this.deployments.size > 1 ? `[${deployment.label}] ` : "";
+
+    // 1. Загружаем рынки (ОДИН раз для всех). API лежит (ретраи кончились или
+    //    circuit open) — цикл без действий, но со статистикой
+    let markets;
+    try {
+      markets = await api.getMarkets({ status: "active" });
+      group.lastCycleError = null;
+    } catch (err) {
+      log.warn(`${tag}NearCast API недоступен — цикл пропущен: ${err.message}`);
+      group.lastCycleError = { at: new Date().toISOString(), message: err.message };
+      return;
+    }
+    log.info(`${tag}Активных рынков: ${markets.length}`);
 
     if (markets.length === 0) {
-      log.info("Нет активных рынков");
-      // Пушим stats даже без рынков
-      await this.pushAllStats();
+      log.info(`${tag}Нет активных рынков`);
       return;
     }
 
-    // 2. Загружаем чаты + odds (ОДИН раз для всех)
+    // 2. Выбираем рынки цикла. Чат грузим для шорт-листа (сигнал активности),
+    //    odds — только для выбранных
+    const selectCtx = {
+      researchData: getAllResearch(deployment.key),
+      heldMarkets: dueAgents.flatMap(a => a.memory.getPositions().map(p => p.marketId)),
+      ownAccounts: this.agents.map(a => a.wallet.accountId),
+    };
+    const shortlist = selector.rank(markets, selectCtx).slice(0, selector.limit * 2);
+
     const chatByMarket = {};
-    for (const m of markets.slice(0, 8)) {
+    const loadChat = async (m) => {
       try {
-        chatByMarket[m.id] = await this.api.getChat(m.id, 10);
+        chatByMarket[m.id] = await api.getChat(m.id, 10);
       } catch { chatByMarket[m.id] = []; }
+    };
+    for (const { market } of shortlist) await loadChat(market);
+
+    const selected = selector.select(markets, { ...selectCtx, chatByMarket });
+    log.info(`${tag}Рынки цикла: ${selected.map(m => `#${m.id}`).join(", ")} (из ${markets.length})`);
+
+    for (const m of selected) {
+      if (!chatByMarket[m.id]) await loadChat(m);
 
       try {
-        const oddsData = await this.api.getOdds(m.id);
+        const oddsData = await api.getOdds(m.id);
         if (oddsData && oddsData.odds) {
           const total = oddsData.odds.reduce((s, o) => s + (1 / o), 0);
           m.odds = oddsData.odds.map(o => (1 / o) / total);
@@ -92,24 +404,47 @@ export class Orchestrator {
       } catch { /* нет odds */ }
     }
 
-    // 3. Research — только агент с webSearch (Shark)
-    const sharkAgent = this.agents.find(a => a.config.webSearch);
-    if (sharkAgent) {
-      await this.doResearch(sharkAgent, markets.slice(0, 8));
+    // Снимок цен всех активных рынков — всегда доли пулов: odds API есть только у выбранных,
+    // а при пустом пуле они расходятся с пулами, и ротация рынков рисовала бы ложные скачки
+    const now = Date.now();
+    for (const m of markets) {
+      try {
+        const { totalPool, outcomePools } = marketPoolsNear(m);
+        if (!(totalPool > 0)) continue;
+        const probabilities = outcomePools.map(p => p / totalPool);
+        recordOdds(m.id, { probabilities, outcomePools, totalPool, source: "pools" }, deployment.key, now);
+      } catch (err) {
+        log.warn(`${tag}История odds #${m.id} не записана: ${err.message}`);
+      }
     }
-    const researchData = getAllResearch();
+    const oddsMovement = getOddsMovements(selected.map(m => m.id), deployment.key, now);
+
+    // 3. Research — только агент с webSearch (Shark), и только когда он в цикле
+    const sharkAgent = dueAgents.find(a => a.config.webSearch);
+    // no-research и дальше (cheap) — research уже не тратим
+    if (sharkAgent && ["no-research", "cheap"].includes(budget.level)) {
+      sharkAgent.log.info("Research пропущен — бюджет LLM");
+    } else if (sharkAgent) {
+      await this.doResearch(sharkAgent, selected, deployment.key);
+    }
+    const researchData = getAllResearch(deployment.key);
 
     // 4. Мониторинг балансов + пополнение если нужно
-    await this.monitorBalances();
+    await this.monitorBalances(dueAgents);
 
-    // 6. Собираем контексты всех агентов
+    // 6. Собираем контексты агентов цикла
     const agentContexts = [];
-    for (const agent of this.agents) {
+    for (const agent of dueAgents) {
       try {
         const balance = await agent.wallet.getContractBalance();
         const myBets = agent.memory.getPendingBets();
         const stats = agent.memory.getStats();
 
+        // chatFrequency — вероятность, что агенту разрешено писать в чат в этом цикле;
+        // режим от оператора (chat-only / bet-only) сильнее
+        const canChat = agent.mode !== "bet-only" && Math.random() < (agent.config.chatFrequency ?? 0.5);
+        const canBet = agent.mode !== "chat-only";
+
         agentContexts.push({
           agent,
           config: agent.config,
@@ -117,6 +452,8 @@ export class Orchestrator {
           balance,
           myBets,
           stats,
+          canChat,
+          canBet,
         });
       } catch (err) {
         agent.log.error(`Ошибка сбора контекста: ${err.message}`);
@@ -124,28 +461,32 @@ export class Orchestrator {
     }
 
     if (agentContexts.length === 0) {
-      log.error("Нет агентов с контекстом");
+      log.error(`${tag}Нет агентов с контекстом`);
       return;
     }
 
-    // 7. ОДИН LLM-вызов за ВСЕХ агентов
-    log.info(`💭 Один LLM-вызов за ${agentContexts.length} агентов...`);
+    // 7. ОДИН LLM-вызов за ВСЕХ агентов группы
+    log.info(`${tag}💭 Один LLM-вызов за ${agentContexts.length} агентов...`);
 
     let allActions;
     try {
       allActions = await thinkAll(this.env.VENICE_API_KEY, {
         agents: agentContexts,
-        markets,
+        markets: selected,
+        totalMarkets: markets.length,
         chatByMarket,
         researchData,
+        oddsMovement,
+        cheap: budget.level === "cheap",
+        cycle: this.cycleCount,
       });
     } catch (err) {
-      log.error(`LLM ошибка: ${err.message}`);
-      await this.pushAllStats();
+      log.error(`${tag}LLM ошибка: ${err.message}`);
       return;
     }
 
-    // 8. Диспатч действий с рандомными задержками
+    // 8. Решения — сразу в очередь агента (переживут рестарт), затем исполнение
+    const marketsById = Object.fromEntries(markets.map(m => [m.id, m]));
     for (const actx of agentContexts) {
       const name = actx.config.name;
       const result = allActions[name];
@@ -153,30 +494,41 @@ export class Orchestrator {
 
       if (result.reasoning) actx.agent.log.think(result.reasoning);
 
+      // Риск-менеджер: лимиты экспозиции, дневной стоп, просадка, Kelly
+      result.actions = actx.agent.risk.review(result.actions, {
+        balance: actx.balance,
+        markets: selected,
+        researchData,
+      });
+
       if (result.actions.length === 0) {
         actx.agent.log.info("Решил ничего не делать");
       } else {
-        // Рандомная задержка 0-30 сек (имитация разных людей)
-        const agentDelay = Math.random() * 30_000;
-        await sleep(agentDelay);
-
-        for (const action of result.actions) {
-          await actx.agent.executeAction(action);
-        }
+        actx.agent.queue.enqueue(result.actions, { cycle: this.cycleCount });
       }
     }
 
-    // 9. Push stats для ВСЕХ
-    await this.pushAllStats();
+    // Исполнение с рандомными задержками; заодно — повторы из прошлых циклов
+    for (const actx of agentContexts) {
+      if (!actx.agent.queue.hasReady()) continue;
+
+      // Рандомная задержка 0-30 сек (имитация разных людей)
+      await sleep(Math.random() * 30_000);
+      await actx.agent.processQueue({
+        markets: marketsById,
+        onDone: (action) => selector.touch(action.marketId),
+      });
+    }
+
   }
 
-  /** Мониторинг балансов всех агентов + автопополнение */
-  async monitorBalances() {
+  /** Мониторинг балансов агентов + автопополнение */
+  async monitorBalances(agents = this.agents) {
     log.info("── Проверка балансов ──");
     const MIN_NEAR = 5;       // минимум NEAR на аккаунте
     const MIN_CONTRACT = 3;   // минимум на контракте
 
-    for (const agent of this.agents) {
+    for (const agent of agents) {
       try {
         const nearBal = await agent.wallet.getNearBalance();
         const contractBal = await agent.wallet.getContractBalance();
@@ -213,13 +565,18 @@ export class Orchestrator {
     }
   }
 
-  /** Research фаза — делегируем агенту с webSearch */
-  async doResearch(agent, markets) {
+  /**
+   * Research фаза — делегируем агенту с webSearch
+   * @param {string} deploymentKey — research хранится по деплойменту
+   * @param {object} [opts]
+   * @param {boolean} [opts.force] — не пропускать рынки со свежим research (запрос оператора)
+   */
+  async doResearch(agent, markets, deploymentKey, { force = false } = {}) {
     const { env } = this;
     const researchModel = agent.config.researchModel || "llama-3.3-70b";
 
     for (const m of markets) {
-      if (hasRecentResearch(m.id, 30)) continue;
+      if (!force && hasRecentResearch(m.id, 30, deploymentKey)) continue;
 
       const question = m.question || m.description || "";
       if (!question) continue;
@@ -231,11 +588,16 @@ export class Orchestrator {
 
         const result = await callLLMJson(env.VENICE_API_KEY, {
           model: researchModel,
+          chain: buildRouteChain(agent.config, "research"),
           system: researchPrompt,
           prompt: `Market question: "${question}"\nOutcomes: ${(m.outcomes || []).join(", ")}\n\nSearch the web for real betting odds on this event and respond in JSON.`,
           temperature: 0.3,
           maxTokens: 1500,
           webSearch: true,
+          usageTag: { purpose: "research", agent: agent.config.name, cycle: this.cycleCount },
+          cacheTtlMinutes: env.RESEARCH_CACHE_MINUTES,
+          schema: researchSchema,
+          check: checkResearch,
         });
 
         saveResearch(m.id, {
@@ -244,7 +606,7 @@ export class Orchestrator {
           analysis: result.analysis || "",
           sources: result.sources || "",
           researcher: agent.config.name,
-        });
+        }, deploymentKey);
 
         agent.log.action("RESEARCH", `Рынок #${m.id}: ${result.analysis?.slice(0, 80) || "done"}`);
         agent.dashboard.pushEvent("research", {
@@ -260,13 +622,18 @@ export class Orchestrator {
     }
   }
 
-  /** Push stats на дашборд для всех агентов */
-  async pushAllStats() {
+  /**
+   * Push stats на дашборд для всех агентов
+   * @param {object} [opts]
+   * @param {boolean} [opts.snapshot] — ещё и точка в agent_history (раз в цикл)
+   */
+  async pushAllStats({ snapshot = false } = {}) {
     for (const agent of this.agents) {
       try {
         const stats = agent.memory.getStats();
-        const balance = await agent.wallet.getContractBalance().catch(() => 0);
-        agent.dashboard.pushStats({
+        // null — баланс не прочитался: в stats это 0, в историю — пропуск, а не провал кривой
+        const balance = await agent.wallet.getContractBalance().catch(() => null);
+        const row = {
           accountId: agent.wallet.accountId,
           totalBets: stats.total || 0,
           won: stats.won || 0,
@@ -276,8 +643,11 @@ export class Orchestrator {
           totalBet: stats.totalBet || 0,
           winRate: stats.winRate || 0,
           balance,
-          cycleCount: this.cycleCount,
-        });
+          cycleCount: agent.cycleCount,
+        };
+        agent.dashboard.pushStats(row);
+        // Баланс кошелька — из последней проверки monitorBalances
+        if (snapshot) agent.dashboard.pushHistory({ ...row, wallet: this.balances[agent.config.name]?.near ?? null });
       } catch (err) {
         agent.log.error(`Ошибка pushStats: ${err.message}`);
       }
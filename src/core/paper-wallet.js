@@ -0,0 +1,205 @@
+/**
+ * Paper-кошелёк — симуляция ставок без блокчейна (режим --paper)
+ *
+ * Тот же интерфейс, что у createWallet, но балансы и ставки живут
+ * в локальном SQLite-леджере (data/{name}/paper-ledger.db).
+ * Рынки и их пулы — настоящие, из NearCast API: выплата считается
+ * по parimutuel с учётом наших симулированных ставок в пуле.
+ * Записи транзакций — той же формы, с фиктивными хэшами paper-*.
+ */
+
+import Database from "better-sqlite3";
+import path from "path";
+import { createLogger } from "../utils/logger.js";
+import { marketPoolsNear, parimutuelPayout } from "../utils/parimutuel.js";
+import { paperRecord, TxFailedError } from "./transactions.js";
+
+const INITIAL_NEAR = 50; // стартовый баланс кошелька в симуляции
+
+/**
+ * @param {object} opts
+ * @param {string} opts.name
+ * @param {string} [opts.avatar]
+ * @param {string} [opts.dataDir]
+ * @param {object} opts.api — клиент NearCast API (для рынков при клейме)
+ * @param {number} [opts.initialNear]
+ * @param {Function} [opts.onTransaction] — (tx) на каждый симулированный вызов контракта
+ */
+export function createPaperWallet(opts) {
+  const { name, avatar = "🤖", dataDir = "data", api, initialNear = INITIAL_NEAR, onTransaction } = opts;
+  const log = createLogger(name, avatar);
+  const accountId = `paper-${name.toLowerCase().replace(/[^a-z0-9]/g, "")}`;
+
+  const db = new Database(path.join(dataDir, "paper-ledger.db"));
+  db.pragma("journal_mode = WAL");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS balances (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      near_balance REAL NOT NULL,
+      contract_balance REAL NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS bets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      market_id INTEGER NOT NULL,
+      outcome INTEGER NOT NULL,
+      amount_near REAL NOT NULL,
+      claimed INTEGER DEFAULT 0,
+      timestamp TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_paper_bets_market ON bets(market_id);
+  `);
+
+  db.prepare("INSERT OR IGNORE INTO balances (id, near_balance, contract_balance) VALUES (1, ?, 0)").run(initialNear);
+  log.info(`Paper-кошелёк: ${accountId}`);
+
+  const getBalances = () => db.prepare("SELECT * FROM balances WHERE id = 1").get();
+  const setBalances = (near, contract) =>
+    db.prepare("UPDATE balances SET near_balance = ?, contract_balance = ? WHERE id = 1").run(near, contract);
+
+  /**
+   * Симулированный вызов контракта: fn бросает — запись failed с её сообщением
+   * (как panic контракта), иначе success
+   */
+  async function call({ method, args, deposit = "0" }, fn) {
+    const meta = { method, args, deposit, receiverId: "paper", signerId: accountId };
+    try {
+      await fn();
+    } catch (err) {
+      const tx = paperRecord(meta, err.message);
+      onTransaction?.(tx);
+      throw new TxFailedError(err.message, tx);
+    }
+    const tx = paperRecord(meta);
+    onTransaction?.(tx);
+    return tx;
+  }
+
+  // ── Методы (как у настоящего кошелька) ───────────────────
+
+  async function getNearBalance() {
+    return getBalances().near_balance;
+  }
+
+  async function getContractBalance() {
+    return getBalances().contract_balance;
+  }
+
+  async function deposit(amountNear) {
+    const amount = Math.ceil(amountNear);
+    const yocto = (BigInt(amount) * 10n ** 24n).toString();
+    return call({ method: "deposit", args: {}, deposit: yocto }, async () => {
+      const { near_balance, contract_balance } = getBalances();
+      if (near_balance < amount) {
+        throw new Error(`Недостаточно NEAR: ${near_balance.toFixed(2)} < ${amount}`);
+      }
+      log.action("deposit", `${amountNear} NEAR в контракт (paper)`);
+      setBalances(near_balance - amount, contract_balance + amount);
+    });
+  }
+
+  async function placeBet(marketId, outcome, amountNear) {
+    const amount = Math.round(amountNear * 1e4) / 1e4;
+    const yocto = (BigInt(Math.round(amount * 1e4)) * BigInt(1e20)).toString();
+    return call({ method: "place_bet", args: { market_id: marketId, outcome, amount: yocto } }, async () => {
+      const { near_balance, contract_balance } = getBalances();
+      if (contract_balance < amount) {
+        throw new Error(`Недостаточно средств на балансе: ${contract_balance.toFixed(2)} < ${amount}`);
+      }
+      log.action("bet", `${amountNear} NEAR на рынке #${marketId}, исход ${outcome} (paper)`);
+      // Таймстамп в наносекундах — как в контракте
+      const timestamp = (BigInt(Date.now()) * 1_000_000n).toString();
+      db.transaction(() => {
+        setBalances(near_balance, contract_balance - amount);
+        db.prepare("INSERT INTO bets (market_id, outcome, amount_near, timestamp) VALUES (?, ?, ?, ?)")
+          .run(marketId, outcome, amount, timestamp);
+      })();
+    });
+  }
+
+  /** Клейм выигрыша/рефанда — считаем выплату по пулам реального рынка */
+  async function claimWinnings(marketId) {
+    return call({ method: "claim_winnings", args: { market_id: marketId } }, () => settleClaim(marketId));
+  }
+
+  async function settleClaim(marketId) {
+    const bets = db.prepare("SELECT * FROM bets WHERE market_id = ?").all(marketId);
+    if (bets.length === 0) throw new Error("Нет ставок на этом рынке");
+
+    const unclaimed = bets.filter(b => !b.claimed);
+    if (unclaimed.length === 0) throw new Error("Выигрыш уже получен");
+
+    const market = await api.getMarket(marketId);
+    if (!market || market.status === "active") throw new Error("Рынок ещё не завершён");
+
+    let payout = 0;
+    if (market.status === "voided") {
+      payout = unclaimed.reduce((s, b) => s + b.amount_near, 0);
+    } else if (market.status === "resolved") {
+      // Наши симулированные ставки добавляются к реальным пулам
+      const { totalPool, outcomePools } = marketPoolsNear(market);
+      const ourTotal = bets.reduce((s, b) => s + b.amount_near, 0);
+      const ourWin = bets.filter(b => b.outcome === market.resolvedOutcome).reduce((s, b) => s + b.amount_near, 0);
+      const winPool = (outcomePools[market.resolvedOutcome] || 0) + ourWin;
+
+      for (const b of unclaimed) {
+        if (b.outcome === market.resolvedOutcome) {
+          payout += parimutuelPayout(b.amount_near, totalPool + ourTotal, winPool);
+        }
+      }
+    }
+
+    log.action("claim", `Клейм на рынке #${marketId}: ${payout.toFixed(4)} NEAR (paper)`);
+    const { near_balance, contract_balance } = getBalances();
+    db.transaction(() => {
+      setBalances(near_balance, contract_balance + payout);
+      db.prepare("UPDATE bets SET claimed = 1 WHERE market_id = ?").run(marketId);
+    })();
+  }
+
+  /** Пополнение кошелька — в симуляции просто доначисляем */
+  async function ensureFunded(minNear = 5) {
+    const { near_balance, contract_balance } = getBalances();
+    if (near_balance >= minNear) return;
+    setBalances(minNear, contract_balance);
+    log.info(`Paper-пополнение: ${near_balance.toFixed(2)} → ${minNear} NEAR`);
+  }
+
+  async function ensureContractBalance(minNear = 3) {
+    const contractBal = await getContractBalance();
+    if (contractBal >= minNear) return;
+
+    const needed = Math.ceil(minNear - contractBal) + 1;
+    const nearBal = await getNearBalance();
+
+    if (nearBal < needed + 1) {
+      await ensureFunded(needed + 5);
+    }
+
+    await deposit(needed);
+  }
+
+  /** Ставки в формате контракта (get_user_bets) — для сверки с блокчейном */
+  function getUserBets() {
+    return db.prepare("SELECT * FROM bets ORDER BY id").all().map(b => ({
+      marketId: b.market_id,
+      outcome: b.outcome,
+      amount: (BigInt(Math.round(b.amount_near * 1e4)) * BigInt(1e20)).toString(),
+      timestamp: b.timestamp,
+    }));
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return {
+    paper: true,
+    account: null, accountId, keyPair: null,
+    getNearBalance, getContractBalance,
+    deposit, placeBet, claimWinnings, ensureFunded, ensureContractBalance,
+    getUserBets, close,
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Позиции — несколько ставок на один исход рынка как одна позиция
+ *
+ * add   — добавить к существующей позиции (тот же исход)
+ * hedge — поставить на противоположный исход, чтобы зафиксировать результат
+ */
+
+/** Действия, которые ставят NEAR (остальные — чат) */
+export const STAKE_ACTIONS = ["bet", "add", "hedge"];
+
+/**
+ * Свернуть pending ставки в позиции
+ * @param {object[]} bets — строки bets ({ market_id, outcome, amount_near, odds_at_bet })
+ * @returns {object[]} — [{ marketId, outcome, amount, avgOdds, entries }]
+ *   avgOdds — средневзвешенная по сумме implied-вероятность входа (null, если неизвестна)
+ */
+export function aggregatePositions(bets) {
+  const byKey = new Map();
+  for (const b of bets) {
+    const key = `${b.market_id}:${b.outcome}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { marketId: b.market_id, outcome: b.outcome, amount: 0, entries: 0, oddsWeight: 0, oddsSum: 0 });
+    }
+    const p = byKey.get(key);
+    p.amount += b.amount_near;
+    p.entries++;
+    if (b.odds_at_bet != null) {
+      p.oddsSum += b.odds_at_bet * b.amount_near;
+      p.oddsWeight += b.amount_near;
+    }
+  }
+
+  return [...byKey.values()].map(({ oddsSum, oddsWeight, ...p }) => ({
+    ...p,
+    avgOdds: oddsWeight > 0 ? oddsSum / oddsWeight : null,
+  }));
+}
+
+/** Позиции по рынку: { marketId: [позиции по исходам] } */
+export function positionsByMarket(positions) {
+  const result = {};
+  for (const p of positions) {
+    (result[p.marketId] ||= []).push(p);
+  }
+  return result;
+}
@@ -0,0 +1,91 @@
+/**
+ * Сверка локальных ставок с блокчейном (get_user_bets)
+ *
+ * Раньше при расхождении количества память стиралась и ставки
+ * импортировались заново — вместе с ними терялись reasoning, odds на входе
+ * и наш P&L. Теперь ставки сопоставляются по (рынок, исход, сумма, время):
+ *   matched  — есть и там, и там: локальная запись остаётся как есть
+ *   missing  — только на блокчейне: импортируем
+ *   orphaned — только локально: помечаем orphaned, не удаляем
+ *              (контракт передеплоен или ставка так и не дошла)
+ *
+ * Здесь — только сопоставление (чистая функция); применяет его
+ * memory.reconcileWithChain.
+ */
+
+import { marketPoolsNear, parimutuelPayout, yoctoToNear } from "../utils/parimutuel.js";
+
+/** Насколько локальное время записи может отстоять от времени блока */
+export const MATCH_WINDOW_MS = 15 * 60_000;
+
+/** created_at из SQLite ("YYYY-MM-DD HH:MM:SS", UTC) или ISO → мс */
+export function betTimeMs(createdAt) {
+  if (!createdAt) return null;
+  const iso = createdAt.includes("T") ? createdAt : `${createdAt.replace(" ", "T")}Z`;
+  const ms = Date.parse(iso);
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Итог ставки по состоянию рынка
+ * @returns {{ result: string, pnl: number } | null} — null: рынок ещё активен
+ */
+export function settledResult(market, outcome, amountNear) {
+  if (market.status === "voided") return { result: "voided", pnl: 0 };
+  if (market.status !== "resolved") return null;
+  if (market.resolvedOutcome !== outcome) return { result: "lost", pnl: -amountNear };
+  const { totalPool, outcomePools } = marketPoolsNear(market);
+  const payout = parimutuelPayout(amountNear, totalPool, outcomePools[outcome]);
+  return { result: "won", pnl: payout > 0 ? payout - amountNear : 0 };
+}
+
+/**
+ * Сопоставить локальные ставки со ставками на блокчейне
+ * @param {object[]} localBets — строки bets
+ * @param {object[]} chainBets — { marketId, outcome, amount (yocto), timestamp (нс) }
+ * @param {object} marketsById — { id: рынок }
+ * @returns {{ matched: object[], missing: object[], orphaned: object[], ignored: object[] }}
+ *   matched — [{ local, chain }], missing — ставки блокчейна с amountNear и timeMs,
+ *   ignored — ставки блокчейна без рынка или старше рынка (прежний контракт)
+ */
+export function diffBets(localBets, chainBets, marketsById) {
+  const ignored = [];
+  const chain = [];
+  for (const b of chainBets) {
+    const market = marketsById[b.marketId];
+    if (!market || Number(b.timestamp) < Number(market.createdAt)) {
+      ignored.push(b);
+      continue;
+    }
+    chain.push({ ...b, amountNear: yoctoToNear(b.amount), timeMs: Number(b.timestamp) / 1e6 });
+  }
+  chain.sort((a, b) => a.timeMs - b.timeMs);
+
+  const unmatched = new Set(localBets);
+  const matched = [];
+  const missing = [];
+
+  for (const c of chain) {
+    // Ближайшая по времени несопоставленная локальная ставка с теми же рынком, исходом и суммой
+    let best = null;
+    let bestGap = Infinity;
+    for (const l of unmatched) {
+      if (l.market_id !== c.marketId || l.outcome !== c.outcome) continue;
+      if (Math.abs(l.amount_near - c.amountNear) >= 0.001) continue;
+      const t = betTimeMs(l.created_at);
+      const gap = t == null ? MATCH_WINDOW_MS : Math.abs(t - c.timeMs);
+      if (gap <= MATCH_WINDOW_MS && gap < bestGap) {
+        best = l;
+        bestGap = gap;
+      }
+    }
+    if (best) {
+      unmatched.delete(best);
+      matched.push({ local: best, chain: c });
+    } else {
+      missing.push(c);
+    }
+  }
+
+  return { matched, missing, orphaned: [...unmatched], ignored };
+}
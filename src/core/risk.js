@@ -0,0 +1,195 @@
+/**
+ * Риск-менеджер — между мозгом и Agent.executeAction
+ *
+ * validateActions в brain.js только клампит ставку к maxBetNear и балансу.
+ * Здесь — правила банкролла:
+ *   - лимит экспозиции на один рынок и на все pending ставки
+ *   - лимит входов в одну позицию (bet + add/hedge на рынок)
+ *   - дневной лимит убытков (ставки на паузе до конца суток UTC)
+ *   - снижение размера ставок при просадке от пика эквити
+ *   - fractional Kelly по вероятности из research (опционально, risk.kelly)
+ *
+ * Каждый отказ и каждое изменение размера — событие "risk" на дашборде.
+ *
+ * Конфиг агента (всё опционально, дефолты — от maxBetNear и riskLevel):
+ *   "risk": {
+ *     "maxMarketExposure": 4,        // NEAR на один рынок
+ *     "maxEntriesPerMarket": 3,      // ставок на один рынок (bet + add + hedge)
+ *     "maxTotalExposure": 0.6,       // доля банкролла во всех pending ставках
+ *     "dailyLossLimit": 5,           // NEAR реализованного убытка за сутки
+ *     "drawdownSteps": [[0.15, 0.5], [0.3, 0.25]],  // [просадка, множитель ставки]
+ *     "kelly": true,                 // сайзинг по Kelly, если есть research
+ *     "kellyFraction": 0.5           // доля Kelly (ещё × riskLevel)
+ *   }
+ */
+
+import { STAKE_ACTIONS } from "./positions.js";
+
+const MIN_BET = 0.1; // меньше — не ставим
+
+/** Лимиты агента с дефолтами из maxBetNear / riskLevel */
+export function resolveRiskLimits(config) {
+  const maxBet = config.maxBetNear || 2;
+  const riskLevel = config.riskLevel ?? 0.5;
+  const risk = config.risk || {};
+
+  return {
+    maxMarketExposure: risk.maxMarketExposure ?? maxBet * 2,
+    maxEntriesPerMarket: risk.maxEntriesPerMarket ?? 3,
+    maxTotalExposure: risk.maxTotalExposure ?? 0.3 + 0.5 * riskLevel,
+    dailyLossLimit: risk.dailyLossLimit ?? maxBet * (2 + 4 * riskLevel),
+    drawdownSteps: risk.drawdownSteps ?? [[0.15, 0.5], [0.3, 0.25]],
+    kelly: risk.kelly === true,
+    kellyFraction: risk.kellyFraction ?? 0.5,
+    riskLevel,
+  };
+}
+
+/**
+ * Доля банкролла по Kelly для parimutuel-ставки
+ * @param {number} p — оценка вероятности исхода (research)
+ * @param {number} q — вероятность, заложенная в odds рынка
+ * @returns {number} — f* (≤ 0 — нет edge)
+ */
+export function kellyFraction(p, q) {
+  if (!(q > 0 && q < 1) || !(p >= 0 && p <= 1)) return 0;
+  const b = 1 / q - 1; // чистый выигрыш на 1 NEAR
+  return (p * (b + 1) - 1) / b;
+}
+
+/**
+ * @param {object} config — конфиг агента
+ * @param {object} deps
+ * @param {object} deps.memory
+ * @param {object} deps.dashboard
+ * @param {object} deps.log
+ */
+export function createRiskManager(config, { memory, dashboard, log }) {
+  const limits = () => resolveRiskLimits(config);
+
+  function report(action, rule, message, approvedAmount = 0) {
+    const resized = approvedAmount > 0;
+    log.warn(`Риск: ${resized ? "ставка уменьшена" : "ставка отклонена"} #${action.marketId} — ${message}`);
+    dashboard.pushEvent("risk", {
+      marketId: action.marketId,
+      outcome: action.outcome,
+      amountNear: resized ? approvedAmount : action.amount,
+      message,
+      metadata: { rule, decision: resized ? "resized" : "rejected", requested: action.amount, approved: approvedAmount },
+    });
+  }
+
+  /** Множитель размера ставки от текущей просадки (пик хранится в notes) */
+  function drawdownMultiplier(equity, steps) {
+    const peak = Math.max(Number(memory.getNote("risk.peakEquity")) || 0, equity);
+    memory.setNote("risk.peakEquity", String(peak));
+    const drawdown = peak > 0 ? (peak - equity) / peak : 0;
+
+    let multiplier = 1;
+    for (const [threshold, mult] of steps) {
+      if (drawdown >= threshold) multiplier = Math.min(multiplier, mult);
+    }
+    return { drawdown, multiplier };
+  }
+
+  return {
+    /**
+     * Проверить и пересчитать ставки; чат/реплаи проходят без изменений
+     * @param {object[]} actions — уже прошедшие validateActions
+     * @param {object} ctx
+     * @param {number} ctx.balance — свободный баланс на контракте
+     * @param {object[]} ctx.markets — рынки с odds
+     * @param {object} [ctx.researchData] — { marketId: research }
+     * @returns {object[]} — одобренные действия
+     */
+    review(actions, { balance, markets, researchData = {} }) {
+      const L = limits();
+      const bets = actions.filter(a => STAKE_ACTIONS.includes(a.type));
+      if (bets.length === 0) return actions;
+
+      const exposure = memory.getExposure();
+      const bankroll = balance + exposure.total;
+      const dailyPnl = memory.getDailyPnL();
+      const { drawdown, multiplier } = drawdownMultiplier(bankroll, L.drawdownSteps);
+      const marketsById = Object.fromEntries(markets.map(m => [m.id, m]));
+
+      let totalExposure = exposure.total;
+      const byMarket = { ...exposure.byMarket };
+      const entries = {};
+      for (const p of memory.getPositions()) entries[p.marketId] = (entries[p.marketId] || 0) + p.entries;
+      const approved = [];
+
+      for (const action of actions) {
+        if (!STAKE_ACTIONS.includes(action.type)) {
+          approved.push(action);
+          continue;
+        }
+
+        if (dailyPnl <= -L.dailyLossLimit) {
+          report(action, "dailyLossLimit", `дневной лимит убытков: ${dailyPnl.toFixed(2)} / -${L.dailyLossLimit.toFixed(2)} NEAR, ставки на паузе`);
+          continue;
+        }
+
+        if ((entries[action.marketId] || 0) >= L.maxEntriesPerMarket) {
+          report(action, "maxEntries", `на рынке уже ${entries[action.marketId]} входов (лимит ${L.maxEntriesPerMarket})`);
+          continue;
+        }
+
+        let amount = action.amount;
+        const reasons = [];
+
+        // Kelly — только если есть оценка вероятности из research; хедж — страховка, не edge
+        const market = marketsById[action.marketId];
+        const p = researchData[action.marketId]?.realOdds?.probabilities?.[action.outcome];
+        const q = market?.odds?.[action.outcome];
+        if (L.kelly && action.type !== "hedge" && typeof p === "number" && typeof q === "number") {
+          const f = kellyFraction(p, q);
+          if (f <= 0) {
+            report(action, "kelly", `нет edge: research ${(p * 100).toFixed(0)}% vs рынок ${(q * 100).toFixed(0)}%`);
+            continue;
+          }
+          const kellyAmount = bankroll * f * L.kellyFraction * L.riskLevel;
+          if (kellyAmount < amount) {
+            amount = kellyAmount;
+            reasons.push(`Kelly ${(f * 100).toFixed(0)}% × ${L.kellyFraction} × риск ${L.riskLevel}`);
+          }
+        }
+
+        if (multiplier < 1) {
+          amount *= multiplier;
+          reasons.push(`просадка ${(drawdown * 100).toFixed(0)}% → ×${multiplier}`);
+        }
+
+        const marketRoom = L.maxMarketExposure - (byMarket[action.marketId] || 0);
+        if (amount > marketRoom) {
+          amount = marketRoom;
+          reasons.push(`лимит на рынок ${L.maxMarketExposure.toFixed(2)} NEAR`);
+        }
+
+        const totalRoom = L.maxTotalExposure * bankroll - totalExposure;
+        if (amount > totalRoom) {
+          amount = totalRoom;
+          reasons.push(`общая экспозиция ${(L.maxTotalExposure * 100).toFixed(0)}% банкролла`);
+        }
+
+        amount = Math.floor(amount * 100 + 1e-9) / 100;
+        if (amount < MIN_BET) {
+          report(action, "exposure", reasons.join("; ") || "ставка меньше минимума");
+          continue;
+        }
+
+        if (amount < action.amount) {
+          report(action, "resize", `${action.amount} → ${amount} NEAR: ${reasons.join("; ")}`, amount);
+          action.amount = amount;
+        }
+
+        totalExposure += amount;
+        byMarket[action.marketId] = (byMarket[action.marketId] || 0) + amount;
+        entries[action.marketId] = (entries[action.marketId] || 0) + 1;
+        approved.push(action);
+      }
+
+      return approved;
+    },
+  };
+}
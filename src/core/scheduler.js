@@ -0,0 +1,77 @@
+/**
+ * Планировщик — у каждого агента свой ритм
+ *
+ * Следующий запуск агента — случайный интервал из config.cycleMinutes [min, max].
+ * Агенты, созревшие в одном окне (batchWindowMs), запускаются вместе —
+ * оркестратор делает за них один thinkAll.
+ * Список агентов живой: горячая перезагрузка (config-watcher.js) добавляет
+ * и убирает агентов — add/remove.
+ */
+
+const DEFAULT_CYCLE_MINUTES = [10, 20];
+
+/** Случайный интервал до следующего цикла агента (мс) */
+export function nextIntervalMs(config) {
+  const range = Array.isArray(config.cycleMinutes) && config.cycleMinutes.length === 2
+    ? config.cycleMinutes
+    : DEFAULT_CYCLE_MINUTES;
+  const [min, max] = range[0] <= range[1] ? range : [range[1], range[0]];
+  return (min + Math.random() * (max - min)) * 60 * 1000;
+}
+
+/**
+ * @param {object[]} agents — экземпляры Agent (тот же массив, что у оркестратора)
+ * @param {object} [opts]
+ * @param {number} [opts.batchWindowMs] — агенты, чей запуск наступит в пределах окна, идут в текущий батч
+ */
+export function createScheduler(agents, { batchWindowMs = 60_000 } = {}) {
+  const nextRunAt = new Map(); // agentName → timestamp (мс)
+
+  // Первый запуск — сразу для всех (как раньше)
+  const now = Date.now();
+  for (const agent of agents) nextRunAt.set(agent.config.name, now);
+
+  return {
+    /** Агенты, которым пора действовать (с учётом окна батчинга) */
+    due(at = Date.now()) {
+      return agents.filter(a => {
+        const t = nextRunAt.get(a.config.name);
+        return t != null && t <= at + batchWindowMs;
+      });
+    },
+
+    /** Запланировать следующий запуск агента от момента `from` */
+    reschedule(agent, from = Date.now()) {
+      const t = from + nextIntervalMs(agent.config);
+      nextRunAt.set(agent.config.name, t);
+      return t;
+    },
+
+    /** Новый агент — первый запуск сразу */
+    add(agent, at = Date.now()) {
+      nextRunAt.set(agent.config.name, at);
+    },
+
+    /** Агент снят — больше не планируем */
+    remove(agent) {
+      nextRunAt.delete(agent.config.name);
+    },
+
+    /** Сколько ждать до ближайшего запуска (мс) */
+    msUntilNext(at = Date.now()) {
+      let min = Infinity;
+      for (const a of agents) {
+        const t = nextRunAt.get(a.config.name);
+        if (t != null && t < min) min = t;
+      }
+      return min === Infinity ? 60_000 : Math.max(0, min - at);
+    },
+
+    /** Для /api/debug: { agentName: ISO-время следующего запуска } */
+    snapshot() {
+      const result = {};
+      for (const [name, t] of nextRunAt) result[name] = new Date(t).toISOString();
+      return result;
+    },
+  };
+}
@@ -4,6 +4,10 @@
  * Shark использует web_search чтобы узнать реальные шансы
  * на события, и сохраняет их здесь. Остальные агенты
  * читают эти данные при принятии решений.
+ *
+ * id рынков разных контрактов пересекаются — исследования хранятся
+ * по деплойменту (deployment.key, см. deployment.js). Записи без
+ * деплоймента (до разделения) не видны никому и просто устаревают.
  */
 
 import Database from "better-sqlite3";
@@ -36,6 +40,9 @@ function getDb() {
     CREATE INDEX IF NOT EXISTS idx_research_market ON research(market_id, created_at);
   `);
 
+  const cols = db.prepare("PRAGMA table_info(research)").all().map(c => c.name);
+  if (!cols.includes("deployment")) db.exec("ALTER TABLE research ADD COLUMN deployment TEXT DEFAULT ''");
+
   return db;
 }
 
@@ -47,32 +54,35 @@ function getDb() {
  * @param {string} analysis — текстовый анализ от LLM
  * @param {string} sources — источники информации
  * @param {string} researcher — кто провёл исследование
+ * @param {string} deployment — deployment.key рынка
  */
-export function saveResearch(marketId, { marketQuestion, realOdds, analysis, sources, researcher = "Shark" }) {
+export function saveResearch(marketId, { marketQuestion, realOdds, analysis, sources, researcher = "Shark" }, deployment = "") {
   const d = getDb();
   d.prepare(`
-    INSERT INTO research (market_id, market_question, real_odds, analysis, sources, researcher)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO research (market_id, market_question, real_odds, analysis, sources, researcher, deployment)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
   `).run(
     marketId,
     marketQuestion || "",
     JSON.stringify(realOdds || {}),
     analysis || "",
     sources || "",
-    researcher
+    researcher,
+    deployment
   );
 }
 
 /**
  * Получить последнее исследование по рынку
  * @param {number} marketId
+ * @param {string} deployment
  * @returns {object|null} — { marketQuestion, realOdds, analysis, sources, researcher, createdAt }
  */
-export function getResearch(marketId) {
+export function getResearch(marketId, deployment = "") {
   const d = getDb();
   const row = d.prepare(
-    "SELECT * FROM research WHERE market_id = ? ORDER BY created_at DESC LIMIT 1"
-  ).get(marketId);
+    "SELECT * FROM research WHERE market_id = ? AND deployment = ? ORDER BY created_at DESC LIMIT 1"
+  ).get(marketId, deployment);
 
   if (!row) return null;
 
@@ -88,19 +98,21 @@ export function getResearch(marketId) {
 }
 
 /**
- * Получить исследования по всем рынкам (последние)
+ * Получить исследования по всем рынкам деплоймента (последние)
+ * @param {string} deployment
  * @returns {object} — { marketId: research }
  */
-export function getAllResearch() {
+export function getAllResearch(deployment = "") {
   const d = getDb();
   const rows = d.prepare(`
     SELECT r1.* FROM research r1
     INNER JOIN (
       SELECT market_id, MAX(created_at) as max_date
-      FROM research GROUP BY market_id
+      FROM research WHERE deployment = ? GROUP BY market_id
     ) r2 ON r1.market_id = r2.market_id AND r1.created_at = r2.max_date
+    WHERE r1.deployment = ?
     ORDER BY r1.created_at DESC
-  `).all();
+  `).all(deployment, deployment);
 
   const result = {};
   for (const row of rows) {
@@ -117,17 +129,37 @@ export function getAllResearch() {
   return result;
 }
 
+/**
+ * Все исследования рынка по времени (старые первыми) — для страницы рынка
+ * @param {number} marketId
+ * @param {string} deployment
+ * @returns {object[]}
+ */
+export function getResearchHistory(marketId, deployment = "") {
+  const d = getDb();
+  return d.prepare(
+    "SELECT * FROM research WHERE market_id = ? AND deployment = ? ORDER BY created_at, id"
+  ).all(marketId, deployment).map(row => ({
+    id: row.id,
+    realOdds: JSON.parse(row.real_odds || "{}"),
+    analysis: row.analysis,
+    sources: row.sources,
+    researcher: row.researcher,
+    createdAt: row.created_at,
+  }));
+}
+
 /**
  * Проверить, есть ли свежее исследование (не старше maxAgeMinutes)
  */
-export function hasRecentResearch(marketId, maxAgeMinutes = 30) {
+export function hasRecentResearch(marketId, maxAgeMinutes = 30, deployment = "") {
   const d = getDb();
   const row = d.prepare(`
     SELECT 1 FROM research
-    WHERE market_id = ?
+    WHERE market_id = ? AND deployment = ?
       AND datetime(created_at) > datetime('now', ? || ' minutes')
     LIMIT 1
-  `).get(marketId, -maxAgeMinutes);
+  `).get(marketId, deployment, -maxAgeMinutes);
 
   return !!row;
 }
@@ -0,0 +1,100 @@
+/**
+ * Транзакции кошелька — запись по каждому вызову в блокчейн
+ *
+ * Раньше результат functionCall выбрасывался: ни хэша, ни газа, а упавший
+ * receipt превращался в безликую ошибку. Теперь кошелёк разбирает
+ * FinalExecutionOutcome в запись и отдаёт её агенту (opts.onTransaction):
+ *   { hash, method, args, deposit, receiverId, signerId, status,
+ *     gasBurnt, tokensBurnt, blockHash, error }
+ *
+ * status:
+ *   success — всё исполнилось
+ *   partial — транзакция прошла, но какой-то receipt упал (error — его сообщение)
+ *   failed  — транзакция упала, error — panic контракта
+ *   error   — до сети не дошло или ответа нет (хэш может быть неизвестен)
+ */
+
+export class TxFailedError extends Error {
+  constructor(message, tx) {
+    super(message);
+    this.name = "TxFailedError";
+    this.tx = tx;
+  }
+}
+
+const EXPLORERS = {
+  testnet: "https://testnet.nearblocks.io/txns/",
+  mainnet: "https://nearblocks.io/txns/",
+};
+
+/** Ссылка на транзакцию в эксплорере сети (null — paper или неизвестная сеть) */
+export function explorerUrl(network, hash) {
+  if (!hash || hash.startsWith("paper-")) return null;
+  const base = EXPLORERS[network];
+  return base ? base + hash : null;
+}
+
+/** Текст ошибки из Failure: panic контракта, если он есть */
+export function failureMessage(failure) {
+  const kind = failure?.ActionError?.kind;
+  const execution = kind?.FunctionCallError?.ExecutionError;
+  if (execution) return execution; // "Smart contract panicked: ..."
+  if (kind) return JSON.stringify(kind);
+  if (failure?.error_message) return failure.error_message;
+  return JSON.stringify(failure);
+}
+
+/**
+ * FinalExecutionOutcome → запись транзакции
+ * @param {object} outcome — результат signAndSendTransaction
+ * @param {object} meta — { method, args, deposit, receiverId, signerId }
+ */
+export function parseOutcome(outcome, meta) {
+  const receipts = outcome.receipts_outcome || [];
+  const all = [outcome.transaction_outcome, ...receipts].filter(Boolean);
+  const sum = (key) => all.reduce((s, o) => s + BigInt(o.outcome?.[key] ?? 0), 0n).toString();
+
+  const txFailure = outcome.status?.Failure;
+  const receiptFailure = receipts.map(r => r.outcome?.status?.Failure).find(Boolean);
+  const failure = txFailure || receiptFailure;
+
+  return {
+    ...txMeta(meta),
+    hash: outcome.transaction_outcome?.id ?? outcome.transaction?.hash ?? null,
+    status: txFailure ? "failed" : receiptFailure ? "partial" : "success",
+    gasBurnt: sum("gas_burnt"),
+    tokensBurnt: sum("tokens_burnt"),
+    blockHash: outcome.transaction_outcome?.block_hash ?? null,
+    error: failure ? failureMessage(failure) : null,
+  };
+}
+
+/** Запись для вызова, который не получил результата (сеть, таймаут RPC) */
+export function errorRecord(err, meta) {
+  return {
+    ...txMeta(meta),
+    hash: err.context?.transactionHash ?? null,
+    status: "error",
+    gasBurnt: "0",
+    tokensBurnt: "0",
+    blockHash: null,
+    error: err.message,
+  };
+}
+
+/** Запись paper-кошелька — та же форма, хэш фиктивный, газа нет */
+export function paperRecord(meta, error = null) {
+  return {
+    ...txMeta(meta),
+    hash: `paper-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    status: error ? "failed" : "success",
+    gasBurnt: "0",
+    tokensBurnt: "0",
+    blockHash: null,
+    error,
+  };
+}
+
+function txMeta({ method, args = {}, deposit = "0", receiverId = null, signerId = null }) {
+  return { method, args, deposit: String(deposit), receiverId, signerId };
+}
@@ -7,10 +7,15 @@
  * 3. Через FUNDER аккаунт (createAccount + перевод NEAR)
  *
  * FUNDER — любой аккаунт с NEAR (например oracle из NearCast).
+ *
+ * Каждый вызов в блокчейн возвращает запись транзакции (см. transactions.js)
+ * и передаёт её в opts.onTransaction; упавший — бросает TxFailedError.
  */
 
-import { connect, keyStores, KeyPair } from "near-api-js";
+import { connect, keyStores, KeyPair, transactions } from "near-api-js";
 import { createLogger } from "../utils/logger.js";
+import { parseOutcome, errorRecord, TxFailedError } from "./transactions.js";
+import { DEFAULT_RPC } from "./deployment.js";
 
 const NEAR_YOCTO = BigInt("1000000000000000000000000");
 const GAS = "30000000000000"; // 30 TGas
@@ -18,15 +23,39 @@ const INITIAL_NEAR = BigInt(5) * NEAR_YOCTO; // 5 NEAR на новый акка
 
 /**
  * Создать или загрузить кошелёк агента
+ * @param {string} [opts.rpcUrl] — RPC сети (по умолчанию fastnear для network)
+ * @param {Function} [opts.onTransaction] — (tx) на каждую транзакцию, включая упавшие
  */
 export async function createWallet(opts) {
-  const { name, avatar = "🤖", network = "testnet", contractId, dataDir = "data", funder } = opts;
+  const { name, avatar = "🤖", network = "testnet", contractId, rpcUrl, dataDir = "data", funder, onTransaction } = opts;
   const log = createLogger(name, avatar);
 
+  /**
+   * Подписать и отправить одно действие; результат — запись транзакции
+   * returnError: упавший receipt не бросается внутри near-api-js — разбираем его сами
+   */
+  async function send(signer, receiverId, action, meta) {
+    const full = { ...meta, receiverId, signerId: signer.accountId };
+    let tx;
+    try {
+      const outcome = await signer.signAndSendTransaction({ receiverId, actions: [action], returnError: true });
+      tx = parseOutcome(outcome, full);
+    } catch (err) {
+      tx = errorRecord(err, full);
+    }
+    onTransaction?.(tx);
+    if (tx.status === "failed" || tx.status === "error") {
+      throw new TxFailedError(`${meta.method}: ${tx.error}`, tx);
+    }
+    return tx;
+  }
+
+  /** Перевод NEAR (sendMoney) с записью транзакции */
+  const sendMoney = (signer, receiverId, yocto) =>
+    send(signer, receiverId, transactions.transfer(BigInt(yocto)), { method: "transfer", deposit: yocto.toString() });
+
   const keyStore = new keyStores.InMemoryKeyStore();
-  const nodeUrl = network === "mainnet"
-    ? "https://free.rpc.fastnear.com"
-    : "https://test.rpc.fastnear.com";
+  const nodeUrl = rpcUrl || DEFAULT_RPC[network] || DEFAULT_RPC.testnet;
 
   const fs = await import("fs");
   const path = await import("path");
@@ -79,7 +108,7 @@ export async function createWallet(opts) {
         const near = await connect({ networkId: network, keyStore, nodeUrl });
         const funderAccount = await near.account(funder.accountId);
 
-        await funderAccount.sendMoney(implicitId, INITIAL_NEAR.toString());
+        await sendMoney(funderAccount, implicitId, INITIAL_NEAR);
         desiredId = implicitId; // используем implicit ID
         created = true;
         log.info(`Implicit аккаунт создан: ${implicitId.slice(0, 16)}... (5 NEAR)`);
@@ -111,6 +140,10 @@ export async function createWallet(opts) {
 
   // ── Методы ──────────────────────────────────────────────
 
+  /** Вызов метода контракта от имени агента */
+  const callContract = (method, args, deposit = "0") =>
+    send(account, contractId, transactions.functionCall(method, args, BigInt(GAS), BigInt(deposit)), { method, args, deposit });
+
   async function getNearBalance() {
     const state = await account.state();
     return Number(state.amount) / Number(NEAR_YOCTO);
@@ -132,37 +165,19 @@ export async function createWallet(opts) {
   async function deposit(amountNear) {
     const yocto = BigInt(Math.ceil(amountNear)) * NEAR_YOCTO;
     log.action("deposit", `${amountNear} NEAR в контракт`);
-    await account.functionCall({
-      contractId,
-      methodName: "deposit",
-      args: {},
-      gas: GAS,
-      attachedDeposit: yocto.toString(),
-    });
+    return callContract("deposit", {}, yocto.toString());
   }
 
   async function placeBet(marketId, outcome, amountNear) {
     const yocto = BigInt(Math.round(amountNear * 1e4)) * BigInt(1e20);
     log.action("bet", `${amountNear} NEAR на рынке #${marketId}, исход ${outcome}`);
-    await account.functionCall({
-      contractId,
-      methodName: "place_bet",
-      args: { market_id: marketId, outcome, amount: yocto.toString() },
-      gas: GAS,
-      attachedDeposit: "0",
-    });
+    return callContract("place_bet", { market_id: marketId, outcome, amount: yocto.toString() });
   }
 
   /** Клейм выигрыша/рефанда (зачисляется на внутренний баланс контракта) */
   async function claimWinnings(marketId) {
     log.action("claim", `Клейм выигрыша на рынке #${marketId}`);
-    await account.functionCall({
-      contractId,
-      methodName: "claim_winnings",
-      args: { market_id: marketId },
-      gas: GAS,
-      attachedDeposit: "0",
-    });
+    return callContract("claim_winnings", { market_id: marketId });
   }
 
   /** Пополнить через funder или faucet */
@@ -182,7 +197,7 @@ export async function createWallet(opts) {
         await keyStore.setKey(network, funder.accountId, funderKey);
         const funderAccount = await near.account(funder.accountId);
         const sendAmount = BigInt(Math.ceil(minNear - bal + 1)) * NEAR_YOCTO;
-        await funderAccount.sendMoney(accountId, sendAmount.toString());
+        await sendMoney(funderAccount, accountId, sendAmount);
         const newBal = await getNearBalance();
         log.info(`Пополнено от funder! Баланс: ${newBal.toFixed(2)} NEAR`);
         return;
@@ -211,7 +226,7 @@ export async function createWallet(opts) {
       await keyStore.setKey(network, tmpId, tmpKey);
       const tmpAccount = await near.account(tmpId);
       const transferYocto = (BigInt(99) * NEAR_YOCTO) / BigInt(10);
-      await tmpAccount.sendMoney(accountId, transferYocto.toString());
+      await sendMoney(tmpAccount, accountId, transferYocto);
 
       const newBal = await getNearBalance();
       log.info(`Пополнено от faucet! Баланс: ${newBal.toFixed(2)} NEAR`);
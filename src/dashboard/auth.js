@@ -0,0 +1,157 @@
+/**
+ * Авторизация дашборда — токены с ролями и rate limit на запись
+ *
+ * Публичные страницы и read-эндпоинты открыты. /api/debug, /api/logs,
+ * журнал аудита — роль viewer; мутации (/api/admin/*, force-reset, resync) — admin.
+ *
+ * Токены (Authorization: Bearer <токен> или ?token= для браузера):
+ *   AGENT_SECRET=...                                 — admin с именем "admin"
+ *   DASHBOARD_TOKENS=alice:admin:tok1,grafana:viewer:tok2  — именованные токены
+ * Имя токена пишется в admin_audit (кто что вызвал).
+ * Без токенов защищённые эндпоинты закрыты для всех.
+ *
+ * За прокси (Render) req.ip — адрес прокси у всех клиентов: TRUST_PROXY говорит
+ * express, сколько прокси впереди, и лимиты считаются по настоящему IP.
+ */
+
+import crypto from "crypto";
+
+/** Роли по возрастанию прав: admin может всё, что viewer */
+export const ROLES = ["viewer", "admin"];
+
+/**
+ * Токены из env
+ * @returns {{ name: string, role: string, token: string }[]}
+ */
+export function parseTokens(env) {
+  const tokens = [];
+  if (env.AGENT_SECRET) tokens.push({ name: "admin", role: "admin", token: env.AGENT_SECRET });
+
+  for (const entry of (env.DASHBOARD_TOKENS || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const [name, role, ...rest] = entry.split(":");
+    const token = rest.join(":"); // в самом токене может быть двоеточие
+    if (!name || !ROLES.includes(role) || !token) {
+      throw new Error(`DASHBOARD_TOKENS: ожидается имя:роль:токен (роль — ${ROLES.join("/")}), получено "${name}:${role}:…"`);
+    }
+    tokens.push({ name, role, token });
+  }
+  return tokens;
+}
+
+// Сравнение за постоянное время: хэши одной длины
+const digest = (s) => crypto.createHash("sha256").update(String(s)).digest();
+
+/** Токен из запроса: заголовок Authorization или ?token= */
+function tokenOf(req) {
+  const header = req.get("authorization") || "";
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : req.query?.token || null;
+}
+
+/**
+ * @param {object[]} tokens — parseTokens()
+ */
+export function createAuth(tokens) {
+  const known = tokens.map(t => ({ name: t.name, role: t.role, hash: digest(t.token) }));
+
+  /** { name, role } владельца токена или null */
+  function identify(req) {
+    const token = tokenOf(req);
+    if (!token) return null;
+    const hash = digest(token);
+    let found = null;
+    for (const t of known) {
+      if (crypto.timingSafeEqual(t.hash, hash)) found = t;
+    }
+    return found && { name: found.name, role: found.role };
+  }
+
+  /**
+   * Проверка доступа
+   * @returns {{ ok: boolean, actor: object|null, status?: number, error?: string }}
+   */
+  function check(req, role) {
+    const actor = identify(req);
+    if (!actor) {
+      return {
+        ok: false, actor, status: 401,
+        error: known.length ? "Нужен токен (Authorization: Bearer ...)" : "Авторизация не настроена (AGENT_SECRET или DASHBOARD_TOKENS)",
+      };
+    }
+    if (ROLES.indexOf(actor.role) < ROLES.indexOf(role)) {
+      return { ok: false, actor, status: 403, error: `Нужна роль ${role}` };
+    }
+    return { ok: true, actor };
+  }
+
+  return {
+    enabled: known.length > 0,
+    identify,
+    check,
+
+    /** Middleware: пускает с ролью не ниже role, кладёт req.actor */
+    require(role) {
+      return (req, res, next) => {
+        const result = check(req, role);
+        if (!result.ok) return res.status(result.status).json({ error: result.error });
+        req.actor = result.actor;
+        next();
+      };
+    },
+  };
+}
+
+/**
+ * TRUST_PROXY → значение "trust proxy" для express
+ * "1" — число прокси впереди, "true"/"false", иначе — адреса/подсети ("loopback, 10.0.0.0/8")
+ * @returns {boolean|number|string|null} — null: не задано, express по умолчанию (не доверять)
+ */
+export function parseTrustProxy(value) {
+  if (value == null || value.trim() === "") return null;
+  const v = value.trim();
+  if (v === "true") return true;
+  if (v === "false") return false;
+  if (/^\d+$/.test(v)) return Number(v);
+  return v;
+}
+
+/**
+ * Rate limit — фиксированное окно на ключ (имя токена или IP)
+ * Middleware; limiter.hit(req) — посчитать запрос вручную (например, только неудачные).
+ * @param {object} opts
+ * @param {number} opts.max — запросов на окно
+ * @param {number} [opts.windowMs]
+ * @param {Function} [opts.key] — (req) → ключ
+ */
+export function rateLimit({ max, windowMs = 60_000, key = (req) => req.ip }) {
+  const hits = new Map(); // ключ → { count, resetAt }
+  const message = `Слишком много запросов: не больше ${max} за ${Math.round(windowMs / 1000)} с`;
+
+  /** @returns {number|null} — секунд до нового окна, если лимит превышен */
+  function hit(req) {
+    const now = Date.now();
+    const k = key(req);
+    let entry = hits.get(k);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(k, entry);
+      // Старые окна не копим
+      for (const [other, e] of hits) if (e.resetAt <= now) hits.delete(other);
+    }
+
+    entry.count++;
+    return entry.count > max ? Math.ceil((entry.resetAt - now) / 1000) : null;
+  }
+
+  const middleware = (req, res, next) => {
+    const retryAfter = hit(req);
+    if (retryAfter != null) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+  middleware.hit = hit;
+  middleware.message = message;
+  return middleware;
+}
@@ -2,7 +2,13 @@
  * Встроенный дашборд — Express сервер + SQLite
  *
  * Агенты пишут напрямую через pushEvent/pushStats (без HTTP).
- * Фронтенд читает через GET /api/agents, /api/events, /api/research.
+ * Фронтенд читает через GET /api/agents, /api/events, /api/research,
+ * а живую ленту — через SSE /api/stream: каждое событие и обновление stats
+ * уходит подписчикам в момент записи, с докачкой по Last-Event-ID.
+ * agent_stats — только последняя строка; история P&L и балансов по циклам —
+ * agent_history (pushHistory), /api/agents/:name/history.
+ * Админ-действия (/api/admin/*, см. src/index.js) пишутся в admin_audit — recordAudit,
+ * с именем токена и ролью (см. auth.js).
  */
 
 import express from "express";
@@ -55,10 +61,49 @@ db.exec(`
 
   CREATE INDEX IF NOT EXISTS idx_events_created ON events(created_at DESC);
   CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type);
+
+  -- Снимок stats и балансов агента на каждый цикл (кривая капитала)
+  CREATE TABLE IF NOT EXISTS agent_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    agent_name TEXT NOT NULL,
+    pnl_near REAL DEFAULT 0,
+    total_bets INTEGER DEFAULT 0,
+    won INTEGER DEFAULT 0,
+    lost INTEGER DEFAULT 0,
+    pending INTEGER DEFAULT 0,
+    total_bet_near REAL DEFAULT 0,
+    win_rate REAL DEFAULT 0,
+    balance_near REAL,              -- на контракте
+    wallet_near REAL,               -- на аккаунте (monitorBalances), null — не проверялся
+    cycle_count INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_history_agent ON agent_history(agent_name, created_at);
+
+  -- Журнал админ-действий: что вызвали, с какими параметрами, чем кончилось
+  CREATE TABLE IF NOT EXISTS admin_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    target TEXT,
+    params TEXT,
+    status INTEGER,
+    result TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_created ON admin_audit(created_at DESC);
 `);
 
-// Чистим старые события (> 7 дней) при старте
+// Миграция: кто вызвал (имя токена, роль, IP)
+const auditCols = db.prepare("PRAGMA table_info(admin_audit)").all().map(c => c.name);
+for (const [column, type] of [["actor", "TEXT"], ["role", "TEXT"], ["ip", "TEXT"]]) {
+  if (!auditCols.includes(column)) db.exec(`ALTER TABLE admin_audit ADD COLUMN ${column} ${type}`);
+}
+
+// Чистим старые события (> 7 дней) и историю (> 90 дней) при старте
 db.prepare("DELETE FROM events WHERE datetime(created_at) < datetime('now', '-7 days')").run();
+db.prepare("DELETE FROM agent_history WHERE datetime(created_at) < datetime('now', '-90 days')").run();
 
 // ── Prepared statements ───────────────────────────────────────
 
@@ -88,8 +133,35 @@ const stmts = {
   `),
 
   getAgents: db.prepare("SELECT * FROM agent_stats ORDER BY pnl_near DESC"),
+  getAgent: db.prepare("SELECT * FROM agent_stats WHERE agent_name = ?"),
+  deleteStats: db.prepare("DELETE FROM agent_stats WHERE agent_name = ?"),
+  findAgent: db.prepare("SELECT agent_name FROM agent_stats WHERE agent_name = ? COLLATE NOCASE"),
   getEvents: db.prepare("SELECT * FROM events WHERE id > ? ORDER BY id DESC LIMIT ?"),
+  getEventsAfter: db.prepare("SELECT * FROM events WHERE id > ? ORDER BY id LIMIT ?"),
+  getEvent: db.prepare("SELECT * FROM events WHERE id = ?"),
   getResearch: db.prepare("SELECT * FROM events WHERE event_type = 'research' ORDER BY id DESC LIMIT ?"),
+
+  insertHistory: db.prepare(`
+    INSERT INTO agent_history (agent_name, pnl_near, total_bets, won, lost, pending, total_bet_near, win_rate, balance_near, wallet_near, cycle_count)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  // Даунсэмплинг: последняя точка каждого интервала (кривая капитала — значение на конец интервала)
+  getHistory: db.prepare(`
+    SELECT h.* FROM agent_history h
+    JOIN (
+      SELECT MAX(id) AS id FROM agent_history
+      WHERE agent_name = ? AND created_at >= ? AND created_at <= ?
+      GROUP BY CAST(strftime('%s', created_at) AS INTEGER) / CAST(? AS INTEGER)
+    ) last ON last.id = h.id
+    ORDER BY h.id
+  `),
+
+  insertAudit: db.prepare(`
+    INSERT INTO admin_audit (action, target, params, status, result, actor, role, ip)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  getAudit: db.prepare("SELECT * FROM admin_audit ORDER BY id DESC LIMIT ?"),
 };
 
 // ── Express app ───────────────────────────────────────────────
@@ -119,6 +191,139 @@ app.get("/api/research", (req, res) => {
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// ── История агента ────────────────────────────────────────────
+
+const HISTORY_DEFAULT_SPAN_MS = 7 * 24 * 3600_000;
+const HISTORY_TARGET_POINTS = 200; // resolution=auto
+const HISTORY_MAX_POINTS = 1000; // мельче — интервал укрупняется
+const RESOLUTION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/** Время из запроса: мс или ISO-строка */
+function parseTime(value, fallback) {
+  if (value == null || value === "") return fallback;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Некорректное время: ${value}`);
+  return ms;
+}
+
+/** "15m" → 900 (секунд); "auto" или пусто → null */
+function parseResolution(value) {
+  if (value == null || value === "" || value === "auto") return null;
+  const m = String(value).match(/^(\d+)([smhd])$/);
+  if (!m || Number(m[1]) === 0) throw new Error(`resolution: например 30s, 15m, 1h, 1d или auto (получено ${value})`);
+  return Number(m[1]) * RESOLUTION_UNITS[m[2]];
+}
+
+/** мс → формат created_at в SQLite ("YYYY-MM-DD HH:MM:SS", UTC) */
+const sqlTime = (ms) => new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+
+// GET /api/agents/:name/history?from&to&resolution — кривая капитала и балансы
+app.get("/api/agents/:name/history", (req, res) => {
+  const row = stmts.findAgent.get(req.params.name);
+  if (!row) return res.status(404).json({ error: `Агент ${req.params.name} не найден` });
+
+  let from, to, resolution;
+  try {
+    to = parseTime(req.query.to, Date.now());
+    from = parseTime(req.query.from, to - HISTORY_DEFAULT_SPAN_MS);
+    if (from >= to) throw new Error("from должен быть раньше to");
+    resolution = parseResolution(req.query.resolution);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const spanSec = (to - from) / 1000;
+  const bucket = Math.max(
+    resolution ?? Math.max(60, Math.ceil(spanSec / HISTORY_TARGET_POINTS)),
+    Math.ceil(spanSec / HISTORY_MAX_POINTS),
+    1
+  );
+
+  try {
+    const points = stmts.getHistory.all(row.agent_name, sqlTime(from), sqlTime(to), bucket).map(h => ({
+      at: `${h.created_at.replace(" ", "T")}Z`,
+      pnl: h.pnl_near,
+      balance: h.balance_near,
+      wallet: h.wallet_near,
+      totalBets: h.total_bets,
+      won: h.won,
+      lost: h.lost,
+      pending: h.pending,
+      totalBet: h.total_bet_near,
+      winRate: h.win_rate,
+      cycles: h.cycle_count,
+    }));
+    res.json({
+      agent: row.agent_name,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      resolution: bucket,
+      points,
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── SSE: живая лента ──────────────────────────────────────────
+
+const STREAM_REPLAY_LIMIT = 200; // сколько пропущенных событий докачать при переподключении
+const STREAM_MAX_CLIENTS = 100;
+const STREAM_PING_MS = 25_000; // комментарий-пинг, чтобы прокси не рвали соединение
+
+const streamClients = new Set();
+
+/** Одно SSE-сообщение; id — только у событий (по нему докачка) */
+function sseMessage(type, data, id = null) {
+  return `${id != null ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function broadcast(type, data, id = null) {
+  if (streamClients.size === 0) return;
+  const msg = sseMessage(type, data, id);
+  for (const res of streamClients) res.write(msg);
+}
+
+/**
+ * GET /api/stream — SSE: event (строка events), stats (строка agent_stats), agents (снимок при подключении)
+ * Докачка: браузер при переподключении шлёт заголовок Last-Event-ID;
+ * при первом подключении — ?lastEventId= (последний id, полученный поллингом).
+ * Без id — последние 50 событий, как /api/events. Пропущено больше STREAM_REPLAY_LIMIT —
+ * сообщение gap и последние 50: страница начинает ленту заново, а не с дырой.
+ */
+app.get("/api/stream", (req, res) => {
+  if (streamClients.size >= STREAM_MAX_CLIENTS) {
+    return res.status(503).json({ error: "Слишком много подключений к ленте" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx не буферизует
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  try {
+    res.write(sseMessage("agents", stmts.getAgents.all()));
+    const lastId = parseInt(req.get("last-event-id") ?? req.query.lastEventId);
+    let missed = Number.isNaN(lastId) ? null : stmts.getEventsAfter.all(lastId, STREAM_REPLAY_LIMIT + 1);
+    if (missed && missed.length > STREAM_REPLAY_LIMIT) {
+      res.write(sseMessage("gap", { after: lastId }));
+      missed = null;
+    }
+    for (const e of missed ?? stmts.getEvents.all(0, 50).reverse()) res.write(sseMessage("event", e, e.id));
+  } catch (err) {
+    console.error(`[Dashboard] stream replay error: ${err.message}`);
+  }
+
+  streamClients.add(res);
+  const ping = setInterval(() => res.write(": ping\n\n"), STREAM_PING_MS);
+  req.on("close", () => {
+    clearInterval(ping);
+    streamClients.delete(res);
+  });
+});
+
 app.get("/api/health", (_req, res) => {
   res.json({ status: "ok", agents: stmts.getAgents.all().length, uptime: process.uptime() });
 });
@@ -128,7 +333,7 @@ app.get("/api/health", (_req, res) => {
 /** Записать событие напрямую в БД */
 function pushEvent(agentName, agentAvatar, eventType, data = {}) {
   try {
-    stmts.insertEvent.run(
+    const { lastInsertRowid } = stmts.insertEvent.run(
       agentName,
       agentAvatar || "",
       eventType,
@@ -139,6 +344,7 @@ function pushEvent(agentName, agentAvatar, eventType, data = {}) {
       data.pnlNear || null,
       typeof data.metadata === "object" ? JSON.stringify(data.metadata) : (data.metadata || null)
     );
+    if (streamClients.size > 0) broadcast("event", stmts.getEvent.get(lastInsertRowid), lastInsertRowid);
   } catch (err) {
     console.error(`[Dashboard] pushEvent error (${agentName}/${eventType}): ${err.message}`);
   }
@@ -161,9 +367,72 @@ function pushStats(agentName, agentAvatar, stats) {
       stats.balance || 0,
       stats.cycleCount || 0
     );
+    if (streamClients.size > 0) broadcast("stats", stmts.getAgent.get(agentName));
   } catch (err) {
     console.error(`[Dashboard] pushStats error (${agentName}): ${err.message}`);
   }
 }
 
-export { app, pushEvent, pushStats };
+/** Агент снят — убрать из лидерборда (история в agent_history остаётся) */
+function removeStats(agentName) {
+  try {
+    stmts.deleteStats.run(agentName);
+    if (streamClients.size > 0) broadcast("agents", stmts.getAgents.all());
+  } catch (err) {
+    console.error(`[Dashboard] removeStats error (${agentName}): ${err.message}`);
+  }
+}
+
+/** Снимок stats и балансов агента в историю (раз в цикл) */
+function pushHistory(agentName, snapshot) {
+  try {
+    stmts.insertHistory.run(
+      agentName,
+      snapshot.pnl || 0,
+      snapshot.totalBets || 0,
+      snapshot.won || 0,
+      snapshot.lost || 0,
+      snapshot.pending || 0,
+      snapshot.totalBet || 0,
+      snapshot.winRate || 0,
+      snapshot.balance ?? null,
+      snapshot.wallet ?? null,
+      snapshot.cycleCount || 0
+    );
+  } catch (err) {
+    console.error(`[Dashboard] pushHistory error (${agentName}): ${err.message}`);
+  }
+}
+
+/**
+ * Записать админ-действие в журнал (admin_audit)
+ * @param {string} action — "pause", "mode", "actions", ...
+ * @param {object} entry — { target, params, status (HTTP), result, actor, role, ip }
+ */
+function recordAudit(action, { target = null, params = null, status = 200, result = null, actor = null, role = null, ip = null } = {}) {
+  try {
+    stmts.insertAudit.run(
+      action,
+      target,
+      params ? JSON.stringify(params) : null,
+      status,
+      result != null ? JSON.stringify(result) : null,
+      actor,
+      role,
+      ip
+    );
+  } catch (err) {
+    console.error(`[Dashboard] recordAudit error (${action}): ${err.message}`);
+  }
+}
+
+/** Последние записи журнала аудита (params и result — разобранный JSON) */
+function getAudit(limit = 50) {
+  return stmts.getAudit.all(limit).map(r => ({
+    ...r,
+    params: r.params ? JSON.parse(r.params) : null,
+    result: r.result ? JSON.parse(r.result) : null,
+  }));
+}
+
+export { app, pushEvent, pushStats, removeStats, pushHistory, recordAudit, getAudit };
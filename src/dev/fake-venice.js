@@ -0,0 +1,135 @@
+/**
+ * Фейковый Venice — OpenAI-совместимый /chat/completions без настоящей LLM
+ *
+ * Сначала отдаёт заготовленные ответы из очереди (POST /canned),
+ * затем генерирует JSON по правилам из промпта:
+ *   - thinkAll (промпт game master) — случайные ставки/чат на рынки из промпта
+ *   - research ("Market question: ...") — случайные "реальные" вероятности
+ *   - think (один агент) — пустой список действий
+ */
+
+import express from "express";
+
+/** Детерминированный PRNG (mulberry32) — воспроизводимые прогоны */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const CHAT_LINES = [
+  "line hasnt moved on real books, fading this",
+  "{outcome} at these odds is free edge",
+  "how does this resolve if it gets postponed?",
+  "tailing the big money on {outcome}",
+  "market is sleeping on {outcome} here",
+];
+
+/** Рынки из ситуационного промпта: [{ id, outcomes }] */
+function parseMarkets(prompt) {
+  const markets = [];
+  const re = /### Market #(\d+):[^\n]*\nOutcomes: ([^\n]*)/g;
+  let m;
+  while ((m = re.exec(prompt))) {
+    const outcomes = [...m[2].matchAll(/\[(\d+)\] ([^,]+)/g)].map(x => x[2].trim());
+    markets.push({ id: Number(m[1]), outcomes });
+  }
+  return markets;
+}
+
+/** Персонажи из системного промпта thinkAll: [{ name, canChat, maxBet }] */
+function parseCharacters(system) {
+  const chars = [];
+  const blocks = system.split(/\n### /).slice(1);
+  for (const block of blocks) {
+    const name = block.split("\n")[0].trim().split(/\s+/).slice(1).join(" ");
+    if (!name) continue;
+    const maxBet = Number(block.match(/Max bet: ([\d.]+)/)?.[1] || 1);
+    chars.push({ name, canChat: !/Chat this cycle: NO/.test(block), maxBet });
+  }
+  return chars;
+}
+
+function thinkAllResponse(system, prompt, rnd) {
+  const markets = parseMarkets(prompt);
+  const result = {};
+  for (const c of parseCharacters(system)) {
+    const actions = [];
+    if (markets.length > 0 && rnd() < 0.6) {
+      const m = markets[Math.floor(rnd() * markets.length)];
+      const outcome = Math.floor(rnd() * Math.max(m.outcomes.length, 1));
+      const amount = Math.round((0.5 + rnd() * (c.maxBet - 0.5)) * 10) / 10;
+      actions.push({ type: "bet", marketId: m.id, outcome, amount, reason: "mock: gut feeling" });
+      if (c.canChat && rnd() < 0.7) {
+        const line = CHAT_LINES[Math.floor(rnd() * CHAT_LINES.length)];
+        actions.push({ type: "chat", marketId: m.id, message: line.replace("{outcome}", m.outcomes[outcome] || "this") });
+      }
+    }
+    result[c.name] = { reasoning: "mock decision", actions };
+  }
+  return result;
+}
+
+function researchResponse(prompt, rnd) {
+  const outcomes = (prompt.match(/Outcomes: ([^\n]*)/)?.[1] || "Yes, No").split(",").map(s => s.trim());
+  const raw = outcomes.map(() => 0.2 + rnd());
+  const sum = raw.reduce((s, x) => s + x, 0);
+  const probabilities = raw.map(x => Math.round((x / sum) * 100) / 100);
+  return {
+    realOdds: { outcomes, probabilities },
+    analysis: `mock research: ${outcomes[probabilities.indexOf(Math.max(...probabilities))]} is the favorite`,
+    sources: "mock bookmaker",
+    confidence: 0.5,
+  };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.seed] — сид PRNG
+ */
+export function createFakeVeniceRouter({ seed = 42 } = {}) {
+  const router = express.Router();
+  const rnd = createRandom(seed);
+  const canned = []; // очередь заготовленных ответов (строки или объекты)
+
+  router.post("/canned", (req, res) => {
+    const items = Array.isArray(req.body) ? req.body : [req.body];
+    canned.push(...items);
+    res.json({ queued: canned.length });
+  });
+
+  router.post("/chat/completions", (req, res) => {
+    const { model = "mock", messages = [] } = req.body || {};
+    const system = messages.find(m => m.role === "system")?.content || "";
+    const prompt = messages.filter(m => m.role === "user").map(m => m.content).join("\n");
+
+    let content;
+    if (canned.length > 0) {
+      const next = canned.shift();
+      content = typeof next === "string" ? next : JSON.stringify(next);
+    } else if (system.includes("game master")) {
+      content = JSON.stringify(thinkAllResponse(system, prompt, rnd));
+    } else if (prompt.includes("Market question:")) {
+      content = JSON.stringify(researchResponse(prompt, rnd));
+    } else {
+      content = JSON.stringify({ reasoning: "mock: nothing to do", actions: [] });
+    }
+
+    const promptTokens = Math.ceil((system.length + prompt.length) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    res.json({
+      id: `mock-${Date.now()}`,
+      object: "chat.completion",
+      model,
+      choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,267 @@
+/**
+ * Мок NearCast бэкенда — in-memory рынки, ставки, чат
+ *
+ * Реализует все роуты, которые вызывает createMarketAPI, плюс
+ * служебные /mock/* для сценария жизни рынка: создать, сдвинуть odds,
+ * резолвнуть, аннулировать.
+ *
+ * Формат данных — как у настоящего бэкенда: пулы в yoctoNEAR (строки),
+ * таймстампы в наносекундах.
+ */
+
+import express from "express";
+
+const YOCTO = 10n ** 24n;
+
+/** NEAR (число) → yoctoNEAR (строка) */
+export function nearToYocto(near) {
+  return (BigInt(Math.round(near * 1e4)) * (YOCTO / 10_000n)).toString();
+}
+
+const nowNs = () => (BigInt(Date.now()) * 1_000_000n).toString();
+
+/**
+ * Состояние мок-бэкенда
+ */
+export function createMockState() {
+  const markets = new Map();   // id → market
+  const bets = [];             // { marketId, accountId, outcome, amount, timestamp }
+  const chat = [];             // { id, market_id, account_id, message, reply_to, created_at }
+  const balances = new Map();  // accountId → yocto (строка)
+  let nextMarketId = 1;
+  let nextMessageId = 1;
+
+  function getMarketOrThrow(id) {
+    const m = markets.get(Number(id));
+    if (!m) throw Object.assign(new Error(`Рынок #${id} не найден`), { status: 404 });
+    return m;
+  }
+
+  function recomputeTotal(m) {
+    m.totalPool = m.outcomePools.reduce((s, p) => s + BigInt(p), 0n).toString();
+  }
+
+  return {
+    markets, bets, chat, balances,
+
+    /** Создать рынок: { question, outcomes, pools?, closesAt?, category? } */
+    createMarket({ id, question, description = "", outcomes = ["Yes", "No"], pools, closesAt = null, category = "sports" }) {
+      const marketId = id ?? nextMarketId;
+      nextMarketId = Math.max(nextMarketId, marketId + 1);
+      const m = {
+        id: marketId,
+        question,
+        description,
+        category,
+        outcomes,
+        status: "active",
+        resolvedOutcome: null,
+        outcomePools: (pools || outcomes.map(() => 0)).map(nearToYocto),
+        totalPool: "0",
+        createdAt: nowNs(),
+        closesAt,
+      };
+      recomputeTotal(m);
+      markets.set(marketId, m);
+      return m;
+    },
+
+    /** Сдвинуть odds — задать пулы исходов (в NEAR) */
+    setPools(marketId, poolsNear) {
+      const m = getMarketOrThrow(marketId);
+      m.outcomePools = poolsNear.map(nearToYocto);
+      recomputeTotal(m);
+      return m;
+    },
+
+    /** Ставка стороннего участника (двигает пулы) */
+    placeBet(marketId, accountId, outcome, amountNear) {
+      const m = getMarketOrThrow(marketId);
+      if (m.status !== "active") throw Object.assign(new Error("Рынок не активен"), { status: 400 });
+      if (outcome < 0 || outcome >= m.outcomes.length) throw Object.assign(new Error("Неверный исход"), { status: 400 });
+      const amount = nearToYocto(amountNear);
+      m.outcomePools[outcome] = (BigInt(m.outcomePools[outcome]) + BigInt(amount)).toString();
+      recomputeTotal(m);
+      const bet = { marketId: m.id, accountId, outcome, amount, timestamp: nowNs() };
+      bets.push(bet);
+      return bet;
+    },
+
+    resolve(marketId, outcome) {
+      const m = getMarketOrThrow(marketId);
+      m.status = "resolved";
+      m.resolvedOutcome = Number(outcome);
+      return m;
+    },
+
+    void(marketId) {
+      const m = getMarketOrThrow(marketId);
+      m.status = "voided";
+      return m;
+    },
+
+    addChat(marketId, accountId, message, replyTo = null) {
+      getMarketOrThrow(marketId);
+      const msg = {
+        id: nextMessageId++,
+        market_id: Number(marketId),
+        account_id: accountId,
+        message,
+        reply_to: replyTo,
+        created_at: new Date().toISOString(),
+      };
+      chat.push(msg);
+      return msg;
+    },
+
+    getMarketOrThrow,
+  };
+}
+
+/**
+ * Express-роутер с API NearCast поверх состояния
+ * @param {ReturnType<typeof createMockState>} state
+ */
+export function createMockBackendRouter(state) {
+  const router = express.Router();
+
+  const handle = (fn) => (req, res) => {
+    try { res.json(fn(req)); }
+    catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+  };
+
+  // ── Роуты createMarketAPI ──
+
+  router.get("/markets", handle(req => {
+    let list = [...state.markets.values()];
+    if (req.query.status) list = list.filter(m => m.status === req.query.status);
+    const limit = parseInt(req.query.limit) || 50;
+    return list.slice(0, limit);
+  }));
+
+  router.get("/markets/:id", handle(req => state.getMarketOrThrow(req.params.id)));
+
+  // Десятичные коэффициенты: totalPool / пул исхода (пустой пул — равные шансы)
+  router.get("/markets/:id/odds", handle(req => {
+    const m = state.getMarketOrThrow(req.params.id);
+    const total = Number(BigInt(m.totalPool) / 10n ** 20n);
+    const odds = m.outcomePools.map(p => {
+      const pool = Number(BigInt(p) / 10n ** 20n);
+      return total > 0 && pool > 0 ? total / pool : m.outcomes.length;
+    });
+    return { marketId: m.id, odds };
+  }));
+
+  router.get("/markets/:id/bets", handle(req => {
+    const m = state.getMarketOrThrow(req.params.id);
+    return state.bets.filter(b => b.marketId === m.id);
+  }));
+
+  router.get("/markets/:id/chat", handle(req => {
+    const id = Number(req.params.id);
+    const limit = parseInt(req.query.limit) || 30;
+    return state.chat.filter(c => c.market_id === id).slice(-limit);
+  }));
+
+  router.get("/markets/:id/chat/:messageId/replies", handle(req => {
+    const messageId = Number(req.params.messageId);
+    return state.chat.filter(c => c.reply_to === messageId);
+  }));
+
+  router.post("/markets/:id/chat", handle(req => {
+    const { accountId, message, replyTo = null } = req.body || {};
+    if (!accountId || !message) throw Object.assign(new Error("accountId и message обязательны"), { status: 400 });
+    return state.addChat(req.params.id, accountId, message, replyTo);
+  }));
+
+  router.get("/user/:accountId/bets", handle(req =>
+    state.bets
+      .filter(b => b.accountId === req.params.accountId)
+      .map(({ marketId, outcome, amount, timestamp }) => ({ marketId, outcome, amount, timestamp }))
+  ));
+
+  router.get("/balance/:accountId", handle(req => ({
+    accountId: req.params.accountId,
+    balance: state.balances.get(req.params.accountId) || "0",
+  })));
+
+  router.get("/stats", handle(() => {
+    const list = [...state.markets.values()];
+    return {
+      totalMarkets: list.length,
+      activeMarkets: list.filter(m => m.status === "active").length,
+      resolvedMarkets: list.filter(m => m.status === "resolved").length,
+      totalBets: state.bets.length,
+      totalVolume: list.reduce((s, m) => s + BigInt(m.totalPool), 0n).toString(),
+    };
+  }));
+
+  return router;
+}
+
+/**
+ * Служебные роуты сценария (/mock/*)
+ *
+ *   POST /mock/markets                  { question, outcomes, pools?, closesAt? }
+ *   POST /mock/markets/:id/pools        { pools: [NEAR, ...] }
+ *   POST /mock/markets/:id/bets         { accountId?, outcome, amount }
+ *   POST /mock/markets/:id/resolve      { outcome }
+ *   POST /mock/markets/:id/void
+ */
+export function createMockControlRouter(state) {
+  const router = express.Router();
+
+  const handle = (fn) => (req, res) => {
+    try { res.json(fn(req)); }
+    catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+  };
+
+  router.post("/markets", handle(req => state.createMarket(req.body || {})));
+  router.post("/markets/:id/pools", handle(req => state.setPools(req.params.id, req.body?.pools || [])));
+  router.post("/markets/:id/bets", handle(req => {
+    const { accountId = "crowd.testnet", outcome, amount } = req.body || {};
+    return state.placeBet(req.params.id, accountId, Number(outcome), Number(amount));
+  }));
+  router.post("/markets/:id/resolve", handle(req => state.resolve(req.params.id, req.body?.outcome)));
+  router.post("/markets/:id/void", handle(req => state.void(req.params.id)));
+
+  return router;
+}
+
+/**
+ * Применить сценарий: начальные рынки + шаги по таймеру
+ *
+ * {
+ *   "markets": [{ "question": "...", "outcomes": ["A", "B"], "pools": [3, 2] }],
+ *   "steps": [
+ *     { "afterSec": 60, "action": "pools", "marketId": 1, "pools": [5, 2] },
+ *     { "afterSec": 90, "action": "bet", "marketId": 1, "outcome": 1, "amount": 4 },
+ *     { "afterSec": 120, "action": "chat", "marketId": 1, "accountId": "bob.testnet", "message": "..." },
+ *     { "afterSec": 600, "action": "resolve", "marketId": 1, "outcome": 0 },
+ *     { "afterSec": 900, "action": "void", "marketId": 2 }
+ *   ]
+ * }
+ * @returns {Function} — отмена запланированных шагов
+ */
+export function applyScenario(state, scenario, log = console.log) {
+  for (const m of scenario.markets || []) state.createMarket(m);
+
+  const timers = (scenario.steps || []).map(step => setTimeout(() => {
+    try {
+      switch (step.action) {
+        case "create": state.createMarket(step.market || step); break;
+        case "pools": state.setPools(step.marketId, step.pools); break;
+        case "bet": state.placeBet(step.marketId, step.accountId || "crowd.testnet", step.outcome, step.amount); break;
+        case "chat": state.addChat(step.marketId, step.accountId || "crowd.testnet", step.message, step.replyTo ?? null); break;
+        case "resolve": state.resolve(step.marketId, step.outcome); break;
+        case "void": state.void(step.marketId); break;
+        default: throw new Error(`Неизвестный шаг: ${step.action}`);
+      }
+      log(`[Mock] Сценарий: ${step.action} #${step.marketId ?? ""}`);
+    } catch (err) {
+      log(`[Mock] Ошибка шага ${step.action}: ${err.message}`);
+    }
+  }, (step.afterSec || 0) * 1000));
+
+  return () => timers.forEach(clearTimeout);
+}
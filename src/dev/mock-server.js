@@ -0,0 +1,73 @@
+/**
+ * Локальный стенд вместо NearCast бэкенда и Venice — для офлайн-разработки
+ *
+ *   npm run mock                                  (порт 4001, демо-рынки)
+ *   node src/dev/mock-server.js --scenario my-scenario.json --port 4001 --seed 7
+ *
+ * Агенты против стенда (без блокчейна — только в paper-режиме):
+ *   NEARCAST_API=http://localhost:4001/api \
+ *   VENICE_BASE_URL=http://localhost:4001/venice/v1 VENICE_API_KEY=mock \
+ *   npm run paper
+ *
+ * Роуты:
+ *   /api/*            — NearCast API (как у createMarketAPI)
+ *   /mock/*           — сценарий: создать рынок, сдвинуть odds, резолв, войд
+ *   /venice/v1/*      — фейковый /chat/completions (+ POST /venice/v1/canned)
+ */
+
+import express from "express";
+import fs from "fs";
+import { createMockState, createMockBackendRouter, createMockControlRouter, applyScenario } from "./mock-backend.js";
+import { createFakeVeniceRouter } from "./fake-venice.js";
+
+const DEMO_SCENARIO = {
+  markets: [
+    { question: "Will the Lakers beat the Celtics tonight?", outcomes: ["Lakers", "Celtics"], pools: [6, 4] },
+    { question: "Will BTC close above $100k this Friday?", outcomes: ["Yes", "No"], pools: [3, 7] },
+    { question: "Who wins the Monaco Grand Prix?", outcomes: ["Verstappen", "Leclerc", "Norris"], pools: [5, 3, 2] },
+  ],
+  steps: [
+    { afterSec: 300, action: "bet", marketId: 1, outcome: 1, amount: 5 },
+    { afterSec: 420, action: "chat", marketId: 1, accountId: "whale.testnet", message: "celtics money coming in hot" },
+    { afterSec: 1800, action: "resolve", marketId: 1, outcome: 1 },
+    { afterSec: 2400, action: "void", marketId: 3 },
+  ],
+};
+
+/**
+ * Собрать express-приложение стенда
+ * @returns {{ app, state, stopScenario }}
+ */
+export function createMockServer({ scenario = DEMO_SCENARIO, seed = 42, log = console.log } = {}) {
+  const state = createMockState();
+  const app = express();
+  app.use(express.json());
+
+  app.use("/api", createMockBackendRouter(state));
+  app.use("/mock", createMockControlRouter(state));
+  app.use("/venice/v1", createFakeVeniceRouter({ seed }));
+
+  const stopScenario = applyScenario(state, scenario, log);
+  return { app, state, stopScenario };
+}
+
+// ── CLI ─────────────────────────────────────────────────────
+
+if (process.argv[1] && import.meta.url.endsWith(process.argv[1].replace(/\\/g, "/"))) {
+  const args = process.argv.slice(2);
+  const argValue = (flag) => {
+    const i = args.indexOf(flag);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+
+  const port = Number(argValue("--port") || 4001);
+  const seed = Number(argValue("--seed") || 42);
+  const scenarioPath = argValue("--scenario");
+  const scenario = scenarioPath ? JSON.parse(fs.readFileSync(scenarioPath, "utf8")) : DEMO_SCENARIO;
+
+  const { app, state } = createMockServer({ scenario, seed });
+  app.listen(port, () => {
+    console.log(`  Mock NearCast: http://localhost:${port}/api (${state.markets.size} рынков)`);
+    console.log(`  Mock Venice:   http://localhost:${port}/venice/v1`);
+  });
+}
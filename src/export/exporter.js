@@ -0,0 +1,219 @@
+/**
+ * Экспорт активности — события, ставки, чат и research в CSV / JSON / NDJSON
+ *
+ * Источники:
+ *   events   — data/dashboard.db (events)
+ *   bets     — memory.db каждого агента (bets), + колонка agent
+ *   chat     — memory.db каждого агента (chat_log), + колонка agent
+ *   research — data/shared-research.db (research)
+ *
+ * Строки идут из SQLite итератором прямо в поток (HTTP-ответ или stdout)
+ * с учётом backpressure — вся история в память не грузится. Каждая выгрузка
+ * открывает свои readonly-соединения: WAL пускает читателя рядом с работающим
+ * процессом, а итератор не держит занятым общее соединение дашборда.
+ * bets и chat — агент за агентом, внутри агента по id.
+ */
+
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+
+export const EXPORT_SOURCES = ["events", "bets", "chat", "research"];
+
+/** Формат → Content-Type */
+export const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+/** Время фильтра: мс или ISO-строка */
+function parseTime(value) {
+  if (value == null || value === "") return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Некорректное время: ${value}`);
+  return ms;
+}
+
+/** мс → формат created_at в SQLite ("YYYY-MM-DD HH:MM:SS", UTC) */
+const sqlTime = (ms) => new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+
+/** Имя агента → имя его каталога в data/ (как в Agent.init) */
+export const agentSlug = (name) => name.toLowerCase().replace(/\s+/g, "-");
+
+/**
+ * Фильтры из query-строки или аргументов CLI
+ * @param {object} query — { agent?, type?, market?, from?, to? }
+ * @returns {{ agent: string|null, type: string|null, market: number|null, from: number|null, to: number|null }}
+ */
+export function parseExportFilters(query = {}) {
+  const market = query.market != null && query.market !== "" ? Number(query.market) : null;
+  if (market !== null && (!Number.isInteger(market) || market < 0)) throw new Error(`Некорректный id рынка: ${query.market}`);
+
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  if (from !== null && to !== null && from >= to) throw new Error("from должен быть раньше to");
+
+  return { agent: query.agent || null, type: query.type || null, market, from, to };
+}
+
+/**
+ * Памяти агентов в каталоге данных: data/<агент>/memory.db
+ * @param {string} dir — data или data/paper
+ * @returns {{ name: string, dbPath: string }[]}
+ */
+export function findMemoryDbs(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(e => e.isDirectory() && fs.existsSync(path.join(dir, e.name, "memory.db")))
+    .map(e => ({ name: e.name, dbPath: path.join(dir, e.name, "memory.db") }));
+}
+
+/**
+ * WHERE по фильтрам
+ * @param {object} columns — { agent?, type?, market, time } — имена колонок источника
+ */
+function whereClause(filters, columns) {
+  const conditions = [];
+  const params = [];
+  if (filters.agent && columns.agent) {
+    conditions.push(`${columns.agent} = ? COLLATE NOCASE`);
+    params.push(filters.agent);
+  }
+  if (filters.type && columns.type) {
+    conditions.push(`${columns.type} = ?`);
+    params.push(filters.type);
+  }
+  if (filters.market !== null) {
+    conditions.push(`${columns.market} = ?`);
+    params.push(filters.market);
+  }
+  // datetime(): ставки из сверки с блокчейном хранят ISO ("...T01:00:00.000Z"), текстом не сравнить
+  if (filters.from !== null) {
+    conditions.push(`datetime(${columns.time}) >= datetime(?)`);
+    params.push(sqlTime(filters.from));
+  }
+  if (filters.to !== null) {
+    conditions.push(`datetime(${columns.time}) < datetime(?)`);
+    params.push(sqlTime(filters.to));
+  }
+  return { sql: conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "", params };
+}
+
+/**
+ * Запросы выгрузки: по одному на БД
+ * @returns {{ dbPath: string, sql: string, params: any[], agent?: string }[]}
+ */
+function plan(source, filters, { dataDir, agents }) {
+  if (source === "events") {
+    const where = whereClause(filters, { agent: "agent_name", type: "event_type", market: "market_id", time: "created_at" });
+    return [{ dbPath: path.join(dataDir, "dashboard.db"), sql: `SELECT * FROM events${where.sql} ORDER BY id`, params: where.params }];
+  }
+
+  if (source === "research") {
+    const where = whereClause(filters, { agent: "researcher", market: "market_id", time: "created_at" });
+    return [{ dbPath: path.join(dataDir, "shared-research.db"), sql: `SELECT * FROM research${where.sql} ORDER BY id`, params: where.params }];
+  }
+
+  // bets / chat — по памяти каждого агента; type для ставок — kind (bet | add | hedge)
+  const table = source === "bets" ? "bets" : "chat_log";
+  const where = whereClause(filters, { type: source === "bets" ? "kind" : null, market: "market_id", time: "created_at" });
+  return agents
+    .filter(a => !filters.agent || agentSlug(a.name) === agentSlug(filters.agent))
+    .map(a => ({ dbPath: a.dbPath, agent: a.name, sql: `SELECT * FROM ${table}${where.sql} ORDER BY id`, params: where.params }));
+}
+
+/** Значение CSV: кавычки, если есть разделитель, кавычка или перевод строки */
+function csvValue(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Сериализатор формата: { head(columns), row(obj, index), tail(count) } → строки */
+function serializer(format) {
+  if (format === "csv") {
+    let columns = null;
+    return {
+      head: (cols) => {
+        columns = cols;
+        return `${cols.map(csvValue).join(",")}\n`;
+      },
+      row: (obj) => `${columns.map(c => csvValue(obj[c])).join(",")}\n`,
+      tail: () => "",
+    };
+  }
+  if (format === "json") {
+    return {
+      head: () => "[",
+      row: (obj, i) => `${i ? "," : ""}\n${JSON.stringify(obj)}`,
+      tail: (count) => (count ? "\n]\n" : "]\n"),
+    };
+  }
+  return { head: () => "", row: (obj) => `${JSON.stringify(obj)}\n`, tail: () => "" };
+}
+
+/** Ждём, пока поток примет ещё данные (или закроется — клиент ушёл) */
+function drained(out) {
+  return new Promise(resolve => {
+    const done = () => {
+      out.off("drain", done);
+      out.off("close", done);
+      out.off("error", done);
+      resolve();
+    };
+    out.on("drain", done);
+    out.on("close", done);
+    out.on("error", done);
+  });
+}
+
+/**
+ * Выгрузить источник в поток
+ * @param {object} opts
+ * @param {string} opts.source — EXPORT_SOURCES
+ * @param {string} [opts.format] — csv | json | ndjson
+ * @param {object} [opts.filters] — parseExportFilters()
+ * @param {stream.Writable} opts.out — HTTP-ответ или process.stdout (не закрывается)
+ * @param {string} [opts.dataDir] — каталог dashboard.db и shared-research.db
+ * @param {object[]} [opts.agents] — [{ name, dbPath }] для bets/chat; по умолчанию findMemoryDbs(dataDir)
+ * @returns {Promise<number>} — сколько строк записано
+ */
+export async function streamExport({ source, format = "ndjson", filters = parseExportFilters(), out, dataDir = "data", agents }) {
+  if (!EXPORT_SOURCES.includes(source)) throw new Error(`Неизвестный источник ${source}: ${EXPORT_SOURCES.join(" | ")}`);
+  if (!EXPORT_FORMATS[format]) throw new Error(`Неизвестный формат ${format}: ${Object.keys(EXPORT_FORMATS).join(" | ")}`);
+
+  const queries = plan(source, filters, { dataDir, agents: agents ?? findMemoryDbs(dataDir) })
+    .filter(q => fs.existsSync(q.dbPath));
+  const fmt = serializer(format);
+  let count = 0;
+  let headed = false;
+
+  const write = async (chunk) => {
+    if (chunk && !out.write(chunk)) await drained(out);
+  };
+
+  for (const q of queries) {
+    const db = new Database(q.dbPath, { readonly: true, fileMustExist: true });
+    try {
+      const stmt = db.prepare(q.sql);
+      const columns = stmt.columns().map(c => c.name);
+      if (!headed) {
+        await write(fmt.head(q.agent ? ["agent", ...columns] : columns));
+        headed = true;
+      }
+      for (const row of stmt.iterate(...q.params)) {
+        await write(fmt.row(q.agent ? { agent: q.agent, ...row } : row, count));
+        count++;
+        if (out.destroyed) return count;
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  // Ни одной БД (агентов нет, данных ещё нет) — пустой, но валидный документ
+  if (!headed) await write(fmt.head([]));
+  await write(fmt.tail(count));
+  return count;
+}
@@ -0,0 +1,78 @@
+/**
+ * Экспорт — CLI
+ *
+ *   npm run export -- events --format csv > events.csv
+ *   npm run export -- bets --agent luna --market 42 --from 2026-10-01 --to 2026-10-08
+ *   npm run export -- chat --paper --format json --out chat.json
+ *   npm run export -- research --format ndjson --out research.ndjson
+ *   npm run export -- events --type bet --from 1760000000000
+ *
+ * Источники: events | bets | chat | research. Формат по умолчанию — ndjson.
+ * --from / --to — мс epoch или ISO; дата без времени (2026-10-01) — полночь UTC.
+ * --paper — памяти агентов из data/paper (paper-режим), --data — другой каталог данных.
+ * Читает SQLite напрямую (readonly) — работает и рядом с запущенными агентами.
+ */
+
+import fs from "fs";
+import path from "path";
+import { EXPORT_SOURCES, EXPORT_FORMATS, parseExportFilters, findMemoryDbs, streamExport } from "./exporter.js";
+
+const args = process.argv.slice(2);
+const argValue = (flag) => {
+  const i = args.indexOf(flag);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+
+const source = args[0];
+if (!EXPORT_SOURCES.includes(source)) {
+  console.error(`\n  Использование: npm run export -- <${EXPORT_SOURCES.join("|")}> [--format ${Object.keys(EXPORT_FORMATS).join("|")}] [--agent name] [--type t] [--market id] [--from время] [--to время] [--paper] [--data dir] [--out file]\n  --from / --to: мс epoch или ISO; дата без времени — полночь UTC\n`);
+  process.exit(1);
+}
+
+const dataDir = path.resolve(argValue("--data") || "data");
+const memoryDir = args.includes("--paper") ? path.join(dataDir, "paper") : dataDir;
+const outPath = argValue("--out");
+
+let filters;
+try {
+  filters = parseExportFilters({
+    agent: argValue("--agent"),
+    type: argValue("--type"),
+    market: argValue("--market"),
+    from: argValue("--from"),
+    to: argValue("--to"),
+  });
+} catch (err) {
+  console.error(`  ✗ ${err.message}`);
+  process.exit(1);
+}
+
+const out = outPath ? fs.createWriteStream(outPath) : process.stdout;
+
+// Читатель закрыл pipe (| head) — выгрузка больше никому не нужна, выходим тихо
+out.on("error", (err) => {
+  if (err.code === "EPIPE") process.exit(0);
+  console.error(`  ✗ Экспорт не удался: ${err.message}`);
+  process.exit(1);
+});
+
+try {
+  const count = await streamExport({
+    source,
+    format: argValue("--format") || "ndjson",
+    filters,
+    out,
+    dataDir,
+    agents: findMemoryDbs(memoryDir),
+  });
+  if (outPath) {
+    await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    console.error(`  ✓ ${source}: ${count} строк → ${outPath}`);
+  } else {
+    // stdout не закрываем — дожидаемся, пока уйдёт всё записанное
+    await new Promise(resolve => out.write("", resolve));
+  }
+} catch (err) {
+  console.error(`  ✗ Экспорт не удался: ${err.message}`);
+  process.exit(1);
+}
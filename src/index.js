@@ -4,14 +4,26 @@
  * Запуск одного или нескольких агентов:
  *   node src/index.js --agent agents/maxbet.json
  *   node src/index.js --all              (все агенты из agents/)
+ *   node src/index.js --all --paper      (симулированные ставки, без блокчейна)
  */
 
 import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
-import { Agent, loadConfig } from "./core/agent.js";
+import { Agent, AGENT_MODES, loadConfig } from "./core/agent.js";
 import { Orchestrator } from "./core/orchestrator.js";
-import { app as dashboardApp } from "./dashboard/index.js";
+import { budgetLevel, getUsageSummary } from "./core/llm-usage.js";
+import { configureLLMCache, llmCacheMode } from "./core/llm-cache.js";
+import { breakerSnapshot, breakerState } from "./utils/http.js";
+import { explorerUrl } from "./core/transactions.js";
+import { createConfigWatcher } from "./core/config-watcher.js";
+import { getAllResearch, getResearchHistory } from "./core/shared-research.js";
+import { buildMarketView } from "./core/market-view.js";
+import { getOddsHistory } from "./core/odds-history.js";
+import { validateActions } from "./brain/brain.js";
+import { EXPORT_FORMATS, EXPORT_SOURCES, parseExportFilters, streamExport } from "./export/exporter.js";
+import { app as dashboardApp, getAudit, recordAudit } from "./dashboard/index.js";
+import { createAuth, parseTokens, parseTrustProxy, rateLimit } from "./dashboard/auth.js";
 
 dotenv.config();
 
@@ -43,20 +55,48 @@ if (missing.length) {
   process.exit(1);
 }
 
+const args = process.argv.slice(2);
+
 const env = {
   VENICE_API_KEY: process.env.VENICE_API_KEY,
   NEARCAST_API: process.env.NEARCAST_API,
   NEARCAST_CONTRACT: process.env.NEARCAST_CONTRACT,
   NEAR_NETWORK: process.env.NEAR_NETWORK || "testnet",
+  NEAR_RPC_URL: process.env.NEAR_RPC_URL || "",
   FUNDER_ACCOUNT_ID: process.env.FUNDER_ACCOUNT_ID || "",
   FUNDER_PRIVATE_KEY: process.env.FUNDER_PRIVATE_KEY || "",
   DASHBOARD_URL: "", // встроенный дашборд, HTTP push не нужен
-  AGENT_SECRET: "",
+  AGENT_SECRET: process.env.AGENT_SECRET || "", // admin-токен дашборда (см. dashboard/auth.js)
+  PAPER_MODE: args.includes("--paper"), // ставки в локальный леджер вместо контракта
+  RESEARCH_CACHE_MINUTES: Number(process.env.RESEARCH_CACHE_MINUTES) || 0, // TTL-кэш research (0 — выкл.)
 };
 
+// LLM-кэш: --llm-cache record|replay (или LLM_CACHE_MODE)
+const cacheIdx = args.indexOf("--llm-cache");
+try {
+  configureLLMCache({ mode: cacheIdx !== -1 ? args[cacheIdx + 1] : undefined });
+} catch (err) {
+  console.error(`\n  ✗ ${err.message}\n`);
+  process.exit(1);
+}
+
+// Токены дашборда: viewer — debug/логи, admin — мутации
+let auth;
+try {
+  auth = createAuth(parseTokens(process.env));
+} catch (err) {
+  console.error(`\n  ✗ ${err.message}\n`);
+  process.exit(1);
+}
+if (!auth.enabled) {
+  console.warn("  ⚠ AGENT_SECRET / DASHBOARD_TOKENS не заданы — /api/debug, /api/logs и админ-API закрыты");
+}
+// За прокси — настоящий IP клиента в req.ip (лимиты и журнал аудита)
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy != null) dashboardApp.set("trust proxy", trustProxy);
+
 // ── Парсинг аргументов ──────────────────────────────────
 
-const args = process.argv.slice(2);
 let configPaths = [];
 
 if (args.includes("--all")) {
@@ -80,6 +120,8 @@ if (configPaths.length === 0) {
   Использование:
     node src/index.js --agent agents/maxbet.json   Запустить одного агента
     node src/index.js --all                        Запустить всех агентов
+    node src/index.js --all --paper                Paper-trading (без блокчейна)
+    node src/index.js --all --llm-cache record     Записывать ответы LLM (replay — играть записанные)
 
   Доступные агенты:
 `);
@@ -103,6 +145,8 @@ console.log(`
   ║   Агентов: ${String(configPaths.length).padEnd(38)}║
   ║   API: ${env.NEARCAST_API.padEnd(42)}║
   ║   Контракт: ${env.NEARCAST_CONTRACT.padEnd(37)}║
+  ║   Режим: ${(env.PAPER_MODE ? "PAPER (симуляция)" : "LIVE").padEnd(40)}║
+  ║   LLM-кэш: ${llmCacheMode().padEnd(38)}║
   ╚══════════════════════════════════════════════════╝
 `);
 
@@ -111,7 +155,15 @@ const agents = [];
 for (const cfgPath of configPaths) {
   try {
     const config = loadConfig(cfgPath);
-    const agent = new Agent(config, env);
+    if (config.enabled === false) {
+      console.log(`  – ${path.basename(cfgPath)}: enabled: false — пропускаю`);
+      continue;
+    }
+    // Имя — ключ данных агента (data/{name}) и дашборда: у персоны на другом контракте — своё имя
+    if (agents.some(a => a.config.name === config.name)) {
+      throw new Error(`агент с именем ${config.name} уже загружен`);
+    }
+    const agent = new Agent(config, env, cfgPath);
     await agent.init();
     agents.push(agent);
   } catch (err) {
@@ -145,52 +197,370 @@ const PORT = process.env.PORT || 10000;
 // Оркестратор (создаём до endpoints чтобы /api/debug имел доступ)
 const orchestrator = new Orchestrator(agents, env);
 
-// Runtime debug endpoint
-dashboardApp.get("/api/debug", (_req, res) => {
+/** Здоровье деплойментов и HTTP-хостов — публично (баннер деградации на дашборде) */
+const healthSnapshot = () => ({
+  deployments: [...orchestrator.deployments.values()].map(g => ({
+    label: g.deployment.label,
+    nearcastApi: g.deployment.nearcastApi,
+    state: breakerState(g.deployment.nearcastApi),
+    lastCycleError: g.lastCycleError,
+  })),
+});
+
+// Публичный статус: пауза, здоровье API (без аккаунтов и env — они в /api/debug)
+dashboardApp.get("/api/status", (_req, res) => {
+  res.json({
+    paused: orchestrator.paused,
+    orchestratorCycles: orchestrator.cycleCount,
+    health: healthSnapshot(),
+    http: breakerSnapshot(),
+  });
+});
+
+// Runtime debug endpoint (viewer)
+dashboardApp.get("/api/debug", auth.require("viewer"), (_req, res) => {
   res.json({
     mode: "orchestrator",
+    paper: env.PAPER_MODE,
+    llmCache: llmCacheMode(),
     loaded: agents.length,
+    paused: orchestrator.paused,
     orchestratorCycles: orchestrator.cycleCount,
+    nextRuns: orchestrator.scheduler.snapshot(),
+    marketSelection: Object.fromEntries(
+      [...orchestrator.deployments.values()].map(g => [g.deployment.label, g.selector.snapshot()])
+    ),
+    health: healthSnapshot(),
+    http: breakerSnapshot(),
     agents: agents.map(a => ({
       name: a.config.name,
       accountId: a.config.accountId,
+      deployment: a.deployment.label,
+      paused: a.paused,
+      mode: a.mode,
+      queue: a.queue.counts(),
     })),
     uptime: process.uptime(),
     env: { NEARCAST_API: env.NEARCAST_API, NEARCAST_CONTRACT: env.NEARCAST_CONTRACT },
   });
 });
 
+// Расходы на LLM: токены, стоимость, бюджеты
+dashboardApp.get("/api/llm-usage", (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseFloat(req.query.hours) || 24, 1), 24 * 30);
+    res.json({ ...getUsageSummary(hours), budget: budgetLevel() });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+/** Агент по имени (без учёта регистра) */
+const findAgent = (name) => agents.find(a => a.config.name.toLowerCase() === String(name).toLowerCase());
+
+// Транзакции агента со ссылками на эксплорер (GET /api/agents/:name/transactions?status=failed)
+dashboardApp.get("/api/agents/:name/transactions", (req, res) => {
+  const agent = findAgent(req.params.name);
+  if (!agent) return res.status(404).json({ error: `Агент ${req.params.name} не найден` });
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const { network } = agent.deployment;
+    const txs = agent.memory.getTransactions({ limit, status: req.query.status || null });
+    res.json({
+      agent: agent.config.name,
+      accountId: agent.wallet.accountId,
+      network: env.PAPER_MODE ? "paper" : network,
+      transactions: txs.map(t => ({ ...t, explorer_url: explorerUrl(network, t.hash) })),
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+/**
+ * Всё о рынке (GET /api/markets/:id?deployment=) — страница market.html
+ * deployment — label или key; по умолчанию первый деплоймент. Id рынков
+ * разных контрактов пересекаются, поэтому агенты — только этого деплоймента.
+ * API недоступен — отдаём локальное (ставки, research) с marketError.
+ */
+dashboardApp.get("/api/markets/:id", async (req, res) => {
+  const marketId = Number(req.params.id);
+  if (!Number.isInteger(marketId) || marketId < 0) return res.status(400).json({ error: "Некорректный id рынка" });
+
+  const groups = [...orchestrator.deployments.values()];
+  const wanted = req.query.deployment;
+  const group = wanted ? groups.find(g => g.deployment.label === wanted || g.deployment.key === wanted) : groups[0];
+  if (!group) return res.status(404).json({ error: `Деплоймент ${wanted} не найден` });
+
+  try {
+    let market = null;
+    let marketError = null;
+    try {
+      market = await group.api.getMarket(marketId);
+      if (!market) marketError = "Рынок не найден";
+    } catch (err) {
+      marketError = err.message;
+    }
+    const chat = market ? await group.api.getChat(marketId, 100).catch(() => []) : [];
+
+    const deploymentAgents = agents.filter(a => a.deployment.key === group.deployment.key);
+    res.json({
+      ...buildMarketView({
+        marketId,
+        market,
+        marketError,
+        deployment: group.deployment.label,
+        agents: deploymentAgents.map(a => ({
+          name: a.config.name,
+          avatar: a.config.avatar,
+          accountId: a.wallet.accountId,
+          mode: a.mode,
+          bets: a.memory.getBetsForMarket(marketId),
+          chats: a.memory.getChatsForMarket(marketId),
+        })),
+        chat: Array.isArray(chat) ? chat : [],
+        research: getResearchHistory(marketId, group.deployment.key),
+        snapshots: getOddsHistory(marketId, group.deployment.key),
+      }),
+      deployments: groups.map(g => g.deployment.label),
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // Балансы всех агентов
 dashboardApp.get("/api/balances", (_req, res) => {
   res.json(orchestrator.balances);
 });
 
-// Логи через браузер
-dashboardApp.get("/api/logs", (req, res) => {
+// Логи через браузер (viewer: /api/logs?token=...)
+dashboardApp.get("/api/logs", auth.require("viewer"), (req, res) => {
   const n = Math.min(parseInt(req.query.n) || 50, MAX_LOGS);
   res.type("text/plain").send(logBuffer.slice(-n).join("\n"));
 });
 
-// Принудительный сброс stale ставок (POST /api/force-reset)
-dashboardApp.post("/api/force-reset", async (_req, res) => {
+/**
+ * Выгрузка для ноутбуков (viewer): GET /api/export/:source?format=&agent=&type=&market=&from=&to=
+ * source — events | bets | chat | research, format — csv | json | ndjson (по умолчанию).
+ * Строки стримятся из SQLite; то же из консоли — npm run export.
+ */
+dashboardApp.get("/api/export/:source", auth.require("viewer"), async (req, res) => {
+  const { source } = req.params;
+  const format = req.query.format || "ndjson";
+  let filters;
   try {
-    let result = {};
-    for (const agent of agents) {
-      const before = agent.memory.getStats();
-      // Принудительно удаляем все ставки из памяти агента
-      agent.memory.clearAllBets();
-      const after = agent.memory.getStats();
-      result[agent.config.name] = { before: before.total, after: after.total };
-    }
-    // Пушим обнулённые stats на дашборд
-    await orchestrator.pushAllStats();
-    res.json({ ok: true, result });
+    if (!EXPORT_SOURCES.includes(source)) throw new Error(`Неизвестный источник ${source}: ${EXPORT_SOURCES.join(" | ")}`);
+    if (!EXPORT_FORMATS[format]) throw new Error(`Неизвестный формат ${format}: ${Object.keys(EXPORT_FORMATS).join(" | ")}`);
+    filters = parseExportFilters(req.query);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    return res.status(400).json({ error: err.message });
   }
+
+  res.attachment(`${source}-${new Date().toISOString().slice(0, 10)}.${format}`);
+  res.type(EXPORT_FORMATS[format]);
+  try {
+    const count = await streamExport({
+      source,
+      format,
+      filters,
+      out: res,
+      agents: agents.map(a => ({ name: a.config.name, dbPath: path.join(a.dataDir, "memory.db") })),
+    });
+    console.log(`[Export] ${source} (${format}): ${count} строк → ${req.actor.name}`);
+    res.end();
+  } catch (err) {
+    // Заголовки уже могли уйти — клиент увидит оборванный поток, а не тихо неполный файл
+    console.error(`[Export] ${source}: ${err.message}`);
+    res.destroy(err);
+  }
+});
+
+// ── Админ-API: роль admin, rate limit, каждое действие — в журнал admin_audit ──
+
+/** Ошибка админ-запроса с HTTP-статусом */
+const adminError = (status, message) => Object.assign(new Error(message), { status });
+
+// Лимит на запись — на имя токена, без токена — на IP
+const writeLimit = rateLimit({
+  max: Number(process.env.ADMIN_RATE_LIMIT) || 30,
+  key: (req) => auth.identify(req)?.name || req.ip,
+});
+
+// Отказы 401/403 — отдельный лимит на IP: сверх него не пишем ни журнал, ни лог,
+// иначе сканер забивает admin_audit
+const authFailLimit = rateLimit({ max: Number(process.env.AUTH_FAIL_RATE_LIMIT) || 10 });
+
+/**
+ * Обёртка админ-эндпоинта: handler(req) → { status?, body }, ошибки — { error }
+ * В журнал — кто вызвал, параметры (params + body) и результат, в том числе отказы 401/403.
+ */
+function adminRoute(action, handler) {
+  return [writeLimit, async (req, res) => {
+    const params = { ...req.params, ...req.body };
+    delete params.token;
+    const target = req.params.name || req.body?.agent || null;
+    const access = auth.check(req, "admin");
+    if (!access.ok) {
+      const retryAfter = authFailLimit.hit(req);
+      if (retryAfter != null) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ error: authFailLimit.message });
+      }
+    }
+    let status = 200;
+    let body;
+    if (!access.ok) {
+      status = access.status;
+      body = { error: access.error };
+    } else {
+      try {
+        const out = await handler(req);
+        status = out.status || 200;
+        body = out.body;
+      } catch (err) {
+        status = err.status || 500;
+        body = { error: err.message };
+      }
+    }
+    recordAudit(action, {
+      target, params, status, result: body,
+      actor: access.actor?.name ?? null, role: access.actor?.role ?? null, ip: req.ip,
+    });
+    // Отказ — ещё и в лог: перебор токенов видно сразу
+    if (!access.ok) console.warn(`[Auth] ${action}: отказ ${status}${access.actor ? ` (${access.actor.name})` : ""} с ${req.ip}`);
+    res.status(status).json(body);
+  }];
+}
+
+// Журнал аудита (viewer)
+dashboardApp.get("/api/admin/audit", auth.require("viewer"), (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json(getAudit(limit));
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// Диагностика синхронизации (GET /api/sync-status)
+/** Агент из запроса (404, если нет); без имени — null */
+function agentParam(name) {
+  if (name == null) return null;
+  const agent = findAgent(name);
+  if (!agent) throw adminError(404, `Агент ${name} не найден`);
+  return agent;
+}
+
+// Принудительный сброс stale ставок (POST /api/force-reset)
+dashboardApp.post("/api/force-reset", adminRoute("force-reset", async () => {
+  const result = {};
+  for (const agent of agents) {
+    const before = agent.memory.getStats();
+    // Принудительно удаляем все ставки из памяти агента
+    agent.memory.clearAllBets();
+    const after = agent.memory.getStats();
+    result[agent.config.name] = { before: before.total, after: after.total };
+  }
+  // Пушим обнулённые stats на дашборд
+  await orchestrator.pushAllStats();
+  return { body: { ok: true, result } };
+}));
+
+// Пауза оркестратора или одного агента (POST /api/admin/pause { agent? })
+dashboardApp.post("/api/admin/pause", adminRoute("pause", async (req) => {
+  const agent = agentParam(req.body?.agent);
+  if (agent) agent.setPaused(true);
+  else orchestrator.pause();
+  return { body: { ok: true, paused: agent ? agent.config.name : "orchestrator" } };
+}));
+
+// Снять с паузы (POST /api/admin/resume { agent? })
+dashboardApp.post("/api/admin/resume", adminRoute("resume", async (req) => {
+  const agent = agentParam(req.body?.agent);
+  if (agent) agent.setPaused(false);
+  else orchestrator.resume();
+  return { body: { ok: true, resumed: agent ? agent.config.name : "orchestrator" } };
+}));
+
+// Внеочередной цикл (POST /api/admin/cycle { agents?: [имя] }) — 202, цикл идёт между плановыми
+dashboardApp.post("/api/admin/cycle", adminRoute("cycle", async (req) => {
+  const names = req.body?.agents;
+  const targets = Array.isArray(names) && names.length > 0 ? names.map(agentParam) : [...agents];
+  orchestrator.requestCycle(targets).catch(() => {}); // ошибка цикла — в логе оркестратора
+  return { status: 202, body: { ok: true, queued: "cycle", agents: targets.map(a => a.config.name) } };
+}));
+
+// Research рынка (POST /api/admin/research { marketId, agent? }) — по умолчанию агент с webSearch
+dashboardApp.post("/api/admin/research", adminRoute("research", async (req) => {
+  const marketId = Number(req.body?.marketId);
+  if (!Number.isInteger(marketId) || marketId < 0) throw adminError(400, "Нужен marketId");
+  const agent = agentParam(req.body?.agent) || agents.find(a => a.config.webSearch);
+  if (!agent) throw adminError(400, "Нет агента с webSearch — укажи agent");
+  orchestrator.requestResearch(agent, marketId).catch(() => {});
+  return { status: 202, body: { ok: true, queued: "research", marketId, agent: agent.config.name } };
+}));
+
+// Режим агента (POST /api/admin/agents/:name/mode { mode: normal | chat-only | bet-only })
+dashboardApp.post("/api/admin/agents/:name/mode", adminRoute("mode", async (req) => {
+  const agent = agentParam(req.params.name);
+  const mode = req.body?.mode;
+  if (!AGENT_MODES.includes(mode)) throw adminError(400, `mode: одно из ${AGENT_MODES.join(", ")}`);
+  agent.setMode(mode);
+  return { body: { ok: true, agent: agent.config.name, mode } };
+}));
+
+/**
+ * Ручные действия агента (POST /api/admin/agents/:name/actions { actions: [...] } или одно действие)
+ * Тот же путь, что у решений мозга: validateActions (с режимом агента) → risk.review →
+ * очередь → исполнение. Всё — между циклами: риск-менеджер считает экспозицию по bets,
+ * и ставки идущего цикла вместе с ручными прошли бы лимиты по отдельности; а агента
+ * могли снять (applyConfigChanges), пока запрос ждал. Ответ — что встало в очередь.
+ */
+dashboardApp.post("/api/admin/agents/:name/actions", adminRoute("actions", async (req) => {
+  const agent = agentParam(req.params.name);
+  const raw = Array.isArray(req.body?.actions) ? req.body.actions : [req.body];
+  const submitted = structuredClone(raw);
+
+  let onQueued;
+  const queued = new Promise(resolve => { onQueued = resolve; });
+  const done = orchestrator.betweenCycles(async () => {
+    if (!orchestrator.agents.includes(agent)) throw adminError(409, `Агент ${agent.config.name} снят`);
+
+    const group = orchestrator.deploymentOf(agent);
+    let markets;
+    try {
+      markets = await group.api.getMarkets({ status: "active" });
+    } catch (err) {
+      throw adminError(502, `NearCast API недоступен: ${err.message}`);
+    }
+    const balance = await agent.wallet.getContractBalance();
+
+    const valid = validateActions(raw, markets, balance, agent.config, {
+      canChat: agent.mode !== "bet-only",
+      canBet: agent.mode !== "chat-only",
+      myBets: agent.memory.getPendingBets(),
+    });
+    const actions = agent.risk.review(valid, {
+      balance,
+      markets,
+      researchData: getAllResearch(agent.deployment.key),
+    });
+    if (actions.length === 0) {
+      throw adminError(422, `Действия отклонены (валидация, режим ${agent.mode} или риск-менеджер)`);
+    }
+
+    agent.queue.enqueue(actions, { cycle: null });
+    onQueued(actions);
+    const marketsById = Object.fromEntries(markets.map(m => [m.id, m]));
+    await agent.processQueue({
+      markets: marketsById,
+      onDone: (action) => group.selector.touch(action.marketId),
+    });
+  });
+  done.catch(() => {}); // сбой исполнения уже в логе runPendingTasks; до очереди — уйдёт ответом ниже
+
+  // Отвечаем, как только действия в очереди; исполнение продолжается без клиента
+  const actions = await Promise.race([queued, done]);
+
+  return {
+    status: 202,
+    body: { ok: true, agent: agent.config.name, submitted: submitted.length, queued: actions },
+  };
+}));
+
+// Диагностика синхронизации (GET /api/sync-status) — счётчики и последний отчёт сверки
 dashboardApp.get("/api/sync-status", (_req, res) => {
   const result = {};
   for (const agent of agents) {
@@ -201,46 +571,51 @@ dashboardApp.get("/api/sync-status", (_req, res) => {
       won: stats.won,
       lost: stats.lost,
       pending: stats.pending,
+      orphaned: stats.orphaned,
+      lastReconcile: agent.memory.getReconcileReport(),
     };
   }
   res.json(result);
 });
 
-// Ре-синхронизация ставок из блокчейна (POST /api/resync)
-dashboardApp.post("/api/resync", async (_req, res) => {
-  try {
-    const { createMarketAPI } = await import("./core/market-api.js");
-    const api = createMarketAPI(env.NEARCAST_API);
-    const allMarkets = await api.getMarkets({ limit: 100000 });
-    const result = {};
-
-    for (const agent of agents) {
-      const before = agent.memory.getStats().total;
-      const chainBets = await api.getUserBets(agent.wallet.accountId) || [];
-      const synced = agent.memory.syncFromChain(chainBets, allMarkets);
-      const after = agent.memory.getStats();
-      result[agent.config.name] = {
-        chainBets: chainBets.length,
-        before,
-        after: after.total,
-        synced,
-      };
-    }
+// Сверка ставок с блокчейном (POST /api/resync) — отчёт по каждому агенту
+dashboardApp.post("/api/resync", adminRoute("resync", async () => {
+  const marketsByDeployment = new Map(); // рынки грузим один раз на деплоймент
+  const result = {};
 
-    await orchestrator.pushAllStats();
-    res.json({ ok: true, result });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  for (const agent of agents) {
+    try {
+      const group = orchestrator.deploymentOf(agent);
+      if (!marketsByDeployment.has(group)) {
+        marketsByDeployment.set(group, await group.api.getMarkets({ limit: 100000 }));
+      }
+      result[agent.config.name] = await agent.reconcile(marketsByDeployment.get(group));
+    } catch (err) {
+      result[agent.config.name] = { error: err.message };
+    }
   }
-});
+
+  await orchestrator.pushAllStats();
+  return { body: { ok: true, result } };
+}));
 
 const server = dashboardApp.listen(PORT, () => {
   console.log(`  Dashboard: http://localhost:${PORT}/`);
 });
 
+// Горячая перезагрузка agents/ (только --all: один --agent не следит за каталогом)
+const configWatcher = args.includes("--all")
+  ? createConfigWatcher(path.resolve("agents"), {
+    load: (file) => loadConfig(file),
+    onChanges: (changes) => orchestrator.queueConfigChanges(changes),
+  })
+  : null;
+configWatcher?.start();
+
 // Graceful shutdown
 process.on("SIGINT", () => {
   console.log("\n  Останавливаю оркестратор...");
+  configWatcher?.stop();
   orchestrator.stop();
   server.close();
   setTimeout(() => process.exit(0), 1000);
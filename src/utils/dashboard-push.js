@@ -4,7 +4,7 @@
  * Прямая запись в SQLite (без HTTP).
  */
 
-import { pushEvent as dbPushEvent, pushStats as dbPushStats } from "../dashboard/index.js";
+import { pushEvent as dbPushEvent, pushStats as dbPushStats, removeStats as dbRemoveStats, pushHistory as dbPushHistory } from "../dashboard/index.js";
 
 export function createDashboardPusher(_url, agentName, agentAvatar, _secret) {
   return {
@@ -14,5 +14,11 @@ export function createDashboardPusher(_url, agentName, agentAvatar, _secret) {
     pushStats(stats) {
       dbPushStats(agentName, agentAvatar, stats);
     },
+    removeStats() {
+      dbRemoveStats(agentName);
+    },
+    pushHistory(snapshot) {
+      dbPushHistory(agentName, snapshot);
+    },
   };
 }
@@ -0,0 +1,219 @@
+/**
+ * HTTP-клиент — таймауты, ретраи с backoff, 429/Retry-After, circuit breaker
+ *
+ * Общий для NearCast API и LLM-провайдеров. Голый fetch без таймаута
+ * вешал шаг, а один 5xx ронял весь цикл.
+ *
+ *   - таймаут на каждый запрос (у каждого эндпоинта свой)
+ *   - ретраи: экспоненциальный backoff с full jitter
+ *   - 429 — ждём Retry-After (если он не длиннее maxRetryAfterMs)
+ *   - не-идемпотентные запросы (POST в чат) повторяются только на 429
+ *   - circuit breaker на хост: после breakerThreshold сбоев подряд хост
+ *     «открыт» на cooldown — запросы падают сразу, без сети; потом один
+ *     пробный запрос (half-open): успех закрывает, сбой — cooldown ×2
+ */
+
+export class HttpError extends Error {
+  constructor(message, { status = null, host = null, body = "" } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.host = host;
+    this.body = body;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(host, retryInMs) {
+    super(retryInMs == null
+      ? `${host} недоступен (circuit half-open, пробный запрос уже идёт)`
+      : `${host} недоступен (circuit open, повтор через ${Math.ceil(retryInMs / 1000)} с)`);
+    this.name = "CircuitOpenError";
+    this.host = host;
+  }
+}
+
+const DEFAULTS = {
+  timeoutMs: 10_000,
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8_000,
+  maxRetryAfterMs: 60_000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 30_000,
+  breakerMaxCooldownMs: 5 * 60_000,
+};
+
+const breakers = new Map(); // host → { state, failures, cooldownMs, openUntil, probing, lastError, lastFailureAt, trips }
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+function breakerFor(host) {
+  if (!breakers.has(host)) {
+    breakers.set(host, {
+      state: "closed", failures: 0, cooldownMs: DEFAULTS.breakerCooldownMs,
+      openUntil: 0, probing: false, lastError: null, lastFailureAt: null, trips: 0,
+    });
+  }
+  return breakers.get(host);
+}
+
+/**
+ * Пропустить запрос через breaker (бросает CircuitOpenError, если хост открыт)
+ * В half-open проходит ровно один пробный запрос, остальные падают сразу, пока он не вернётся.
+ * @returns {boolean} — это пробный запрос (вызывающий снимает probing, когда он завершится)
+ */
+function admit(host, opts) {
+  const b = breakerFor(host);
+  if (b.state === "open") {
+    const wait = b.openUntil - Date.now();
+    if (wait > 0) throw new CircuitOpenError(host, wait);
+    b.state = "half-open"; // cooldown прошёл — пробный запрос
+  }
+  if (b.state === "half-open") {
+    if (b.probing) throw new CircuitOpenError(host, null);
+    b.probing = true;
+    return true;
+  }
+  b.cooldownMs = opts.breakerCooldownMs;
+  return false;
+}
+
+function onSuccess(host) {
+  const b = breakerFor(host);
+  if (b.state !== "closed") console.log(`[HTTP] ✓ ${host} снова отвечает — circuit closed`);
+  b.state = "closed";
+  b.failures = 0;
+}
+
+function onFailure(host, err, opts) {
+  const b = breakerFor(host);
+  b.failures++;
+  b.lastError = err.message.slice(0, 200);
+  b.lastFailureAt = new Date().toISOString();
+
+  if (b.state === "half-open" || b.failures >= opts.breakerThreshold) {
+    if (b.state === "half-open") b.cooldownMs = Math.min(b.cooldownMs * 2, opts.breakerMaxCooldownMs);
+    b.state = "open";
+    b.openUntil = Date.now() + b.cooldownMs;
+    b.trips++;
+    console.warn(`[HTTP] ⚠ ${host}: ${b.failures} сбоев подряд — circuit open на ${Math.round(b.cooldownMs / 1000)} с`);
+  }
+}
+
+/** Retry-After (секунды или HTTP-дата) → мс */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/** Full jitter: случайная пауза от 0 до base × 2^attempt */
+function backoffMs(attempt, opts) {
+  return Math.random() * Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** attempt);
+}
+
+/**
+ * Запрос с таймаутом, ретраями и breaker; ответ — разобранный JSON
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.method]
+ * @param {object} [opts.headers]
+ * @param {*} [opts.body] — объект (уйдёт как JSON)
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.retries]
+ * @param {boolean} [opts.idempotent] — по умолчанию GET да, остальные нет
+ * @param {string} [opts.label] — имя сервиса для сообщений об ошибке ("venice API", "API GET /markets")
+ */
+export async function requestJson(url, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const method = o.method || "GET";
+  const idempotent = o.idempotent ?? method === "GET";
+  const host = hostOf(url);
+  const label = o.label || `${method} ${url}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const probe = admit(host, o);
+
+    let retryDelay = null;
+    let error;
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: o.body !== undefined ? { "Content-Type": "application/json", ...o.headers } : o.headers,
+        body: o.body !== undefined ? JSON.stringify(o.body) : undefined,
+        signal: AbortSignal.timeout(o.timeoutMs),
+      });
+
+      if (res.ok) {
+        onSuccess(host);
+        return await res.json();
+      }
+
+      const text = await res.text().catch(() => "");
+      error = new HttpError(`${label} ${res.status}: ${text.slice(0, 200)}`, { status: res.status, host, body: text });
+
+      if (res.status === 429) {
+        // Сервер жив, просто просит подождать — breaker не трогаем
+        const wait = parseRetryAfter(res.headers.get("retry-after"));
+        if (wait != null && wait > o.maxRetryAfterMs) throw error;
+        retryDelay = wait ?? backoffMs(attempt, o);
+      } else if (res.status >= 500) {
+        onFailure(host, error, o);
+        if (idempotent) retryDelay = backoffMs(attempt, o);
+      } else {
+        // 4xx — ошибка запроса, повтор не поможет; хост при этом жив
+        onSuccess(host);
+        throw error;
+      }
+    } catch (err) {
+      if (err instanceof HttpError) throw err;
+      // Сеть / таймаут
+      error = err.name === "TimeoutError"
+        ? new HttpError(`${label}: таймаут ${o.timeoutMs} мс`, { host })
+        : new HttpError(`${label}: ${err.cause?.code || err.message}`, { host });
+      onFailure(host, error, o);
+      if (idempotent) retryDelay = backoffMs(attempt, o);
+    } finally {
+      // Проба завершилась (любым исходом, включая 429) — следующий запрос решает заново
+      if (probe) breakerFor(host).probing = false;
+    }
+
+    if (retryDelay == null || attempt >= o.retries || breakerFor(host).state === "open") throw error;
+    await sleep(retryDelay);
+  }
+}
+
+/**
+ * Состояние breaker'ов для /api/debug
+ * @returns {object} — { host: { state, failures, openUntil, lastError, lastFailureAt, trips } }
+ */
+export function breakerSnapshot() {
+  const result = {};
+  for (const [host, b] of breakers) {
+    result[host] = {
+      state: b.state,
+      failures: b.failures,
+      openUntil: b.state === "open" ? new Date(b.openUntil).toISOString() : null,
+      lastError: b.lastError,
+      lastFailureAt: b.lastFailureAt,
+      trips: b.trips,
+    };
+  }
+  return result;
+}
+
+/** Состояние breaker'а хоста по URL: closed | open | half-open */
+export function breakerState(url) {
+  return breakers.get(hostOf(url))?.state || "closed";
+}
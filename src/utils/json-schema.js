@@ -0,0 +1,79 @@
+/**
+ * Минимальный валидатор JSON Schema — ровно то, что нужно для ответов LLM
+ *
+ * Поддерживает: type (строка или массив), enum, required, properties,
+ * additionalProperties, items, minimum/maximum, minLength/maxLength,
+ * minItems/maxItems, pattern.
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Проверить значение по схеме
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path] — путь для сообщений ("Luna.actions[0].outcome")
+ * @returns {string[]} — ошибки (пусто — валидно)
+ */
+export function validateSchema(value, schema, path = "") {
+  const errors = [];
+  const at = path || "(корень)";
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${at}: ожидался ${types.join("|")}, получено ${typeOf(value)} (${JSON.stringify(value)?.slice(0, 40)})`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} не из ${schema.enum.join("|")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: ${value} < ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: ${value} > ${schema.maximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: строка короче ${schema.minLength}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at}: строка длиннее ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: "${value.slice(0, 40)}" не соответствует ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: меньше ${schema.minItems} элементов`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: больше ${schema.maxItems} элементов`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path ? `${path}.` : ""}${key}: отсутствует обязательное поле`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(value[key], sub, path ? `${path}.${key}` : key));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) errors.push(`${path ? `${path}.` : ""}${key}: лишнее поле`);
+      }
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,109 @@
+/**
+ * LLM-провайдеры — где и как вызывать модель
+ *
+ * Каждый провайдер объявляет тип API (openai-совместимый или anthropic),
+ * базовый URL, переменную окружения с ключом и возможности (webSearch, jsonMode).
+ *
+ * Конфиг агента (всё опционально, по умолчанию — Venice):
+ *   "provider": "openai",                 // для thinkAll/think
+ *   "baseUrl": "https://...",             // переопределить URL провайдера
+ *   "apiKeyEnv": "MY_KEY",                // переопределить переменную с ключом
+ *   "researchProvider": "anthropic",      // для research (+ researchBaseUrl, researchApiKeyEnv)
+ *   "cheapModel": "llama-3.2-3b",         // когда бюджет LLM на исходе (+ cheapProvider)
+ *   "fallbacks": [{ "provider": "ollama", "model": "llama3.1" }]
+ *
+ * Цепочка вызова: основной провайдер → fallbacks → Venice (llama-3.3-70b).
+ */
+
+export const PROVIDERS = {
+  venice: {
+    type: "openai",
+    baseUrl: () => process.env.VENICE_BASE_URL || "https://api.venice.ai/api/v1",
+    apiKeyEnv: "VENICE_API_KEY",
+    capabilities: { webSearch: true, jsonMode: false },
+  },
+  openai: {
+    type: "openai",
+    baseUrl: () => process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKeyEnv: "OPENAI_API_KEY",
+    capabilities: { webSearch: false, jsonMode: true },
+  },
+  ollama: {
+    type: "openai",
+    baseUrl: () => process.env.OLLAMA_BASE_URL || "http://localhost:11434/v1",
+    apiKeyEnv: null, // локальный сервер, ключ не нужен
+    capabilities: { webSearch: false, jsonMode: true },
+  },
+  llamacpp: {
+    type: "openai",
+    baseUrl: () => process.env.LLAMACPP_BASE_URL || "http://localhost:8080/v1",
+    apiKeyEnv: null,
+    capabilities: { webSearch: false, jsonMode: true },
+  },
+  anthropic: {
+    type: "anthropic",
+    baseUrl: () => process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com/v1",
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    capabilities: { webSearch: true, jsonMode: false },
+  },
+};
+
+const DEFAULT_ROUTE = { provider: "venice", model: "llama-3.3-70b" };
+const CHEAP_ROUTE = { provider: "venice", model: "llama-3.2-3b" };
+
+/**
+ * Развернуть описание маршрута { provider, model, baseUrl?, apiKeyEnv? } в готовую цель вызова
+ * @param {object} route
+ * @param {string} [fallbackKey] — ключ, если переменная провайдера не задана (VENICE_API_KEY из env агента)
+ * @returns {{ name, type, baseUrl, apiKey, model, capabilities }}
+ */
+export function resolveRoute(route, fallbackKey = "") {
+  const name = route.provider || "venice";
+  const def = PROVIDERS[name];
+  if (!def) throw new Error(`Неизвестный LLM-провайдер: ${name}`);
+
+  const keyEnv = route.apiKeyEnv || def.apiKeyEnv;
+  const apiKey = (keyEnv && process.env[keyEnv]) || (name === "venice" ? fallbackKey : "");
+
+  return {
+    name,
+    type: def.type,
+    baseUrl: route.baseUrl || def.baseUrl(),
+    apiKey,
+    keyRequired: !!keyEnv,
+    model: route.model,
+    capabilities: { ...def.capabilities, ...(route.capabilities || {}) },
+  };
+}
+
+/**
+ * Цепочка маршрутов для агента: основной → fallbacks → Venice по умолчанию
+ * @param {object} config — конфиг агента
+ * @param {"think"|"research"|"cheap"} [purpose] — cheap: экономный режим при исчерпании бюджета
+ * @returns {object[]} — [{ provider, model, baseUrl?, apiKeyEnv? }]
+ */
+export function buildRouteChain(config, purpose = "think") {
+  if (purpose === "cheap") {
+    // Без fallbacks на дорогие модели — иначе экономия теряется на первом сбое
+    return [{ provider: config.cheapProvider || CHEAP_ROUTE.provider, model: config.cheapModel || CHEAP_ROUTE.model }];
+  }
+
+  const primary = purpose === "research"
+    ? {
+      provider: config.researchProvider || config.provider || "venice",
+      model: config.researchModel || config.model || DEFAULT_ROUTE.model,
+      baseUrl: config.researchBaseUrl,
+      apiKeyEnv: config.researchApiKeyEnv,
+    }
+    : {
+      provider: config.provider || "venice",
+      model: config.model || DEFAULT_ROUTE.model,
+      baseUrl: config.baseUrl,
+      apiKeyEnv: config.apiKeyEnv,
+    };
+
+  const chain = [primary, ...(config.fallbacks || [])];
+  const hasDefault = chain.some(r => (r.provider || "venice") === DEFAULT_ROUTE.provider && r.model === DEFAULT_ROUTE.model && !r.baseUrl);
+  if (!hasDefault) chain.push(DEFAULT_ROUTE);
+  return chain;
+}
@@ -0,0 +1,287 @@
+/**
+ * LLM клиент — Venice, OpenAI-совместимые, Ollama/llama.cpp, Anthropic
+ *
+ * Отправляет промпты, парсит JSON-ответы.
+ * Провайдер и модель — из конфига агента (см. llm-providers.js);
+ * если провайдер падает, пробуем следующий в цепочке.
+ * Каждая попытка пишется в учёт (токены, латентность, стоимость — см. core/llm-usage.js).
+ * Под вызовом — кэш record/replay и TTL-кэш (см. core/llm-cache.js).
+ */
+
+import { resolveRoute } from "./llm-providers.js";
+import { validateSchema } from "./json-schema.js";
+import { requestJson } from "./http.js";
+import { recordLLMCall } from "../core/llm-usage.js";
+import { cacheKey, llmCacheMode, readCached, writeCached } from "../core/llm-cache.js";
+
+const warnedNoWebSearch = new Set();
+
+/**
+ * Вызов LLM по цепочке провайдеров
+ * @param {string} apiKey — ключ Venice по умолчанию (если VENICE_API_KEY не в process.env)
+ * @param {object} opts — { model, system, prompt, history, temperature, maxTokens, webSearch, json, chain }
+ * @param {object[]} [opts.history] — продолжение диалога после prompt ({ role, content }), для ремонта JSON
+ * @param {object[]} [opts.chain] — маршруты { provider, model, baseUrl?, apiKeyEnv? } (buildRouteChain);
+ *   без цепочки — Venice с opts.model
+ * @param {object} [opts.usageTag] — { purpose, agent, cycle } для учёта расходов
+ * @param {number} [opts.cacheTtlMinutes] — отдать сохранённый ответ на тот же запрос, если он не старше
+ * @param {Function} [opts.accept] — (text) → boolean: в кэш (record / TTL) попадает только принятый ответ
+ * @param {object} [opts.cacheAs] — ещё и под ключом этого запроса (ремонт JSON: исправленный ответ — исходному запросу)
+ * @returns {string} — текст ответа
+ */
+export async function callLLM(apiKey, opts) {
+  const routes = opts.chain?.length ? opts.chain : [{ provider: "venice", model: opts.model }];
+  const mode = llmCacheMode();
+  const ttl = opts.cacheTtlMinutes || null;
+  const errors = [];
+
+  for (const route of routes) {
+    const target = resolveRoute({ ...route, model: route.model || opts.model }, apiKey);
+
+    // replay — только из кэша (ключи не нужны); TTL — свежий ответ без вызова
+    const key = mode !== "passthrough" || ttl ? cacheKey(target, opts) : null;
+    if (mode === "replay" || ttl) {
+      const cached = readCached(key, mode === "replay" ? null : ttl);
+      // TTL: непринятый ответ (записан до проверки) не отдаём — вызываем модель заново
+      if (cached && (mode === "replay" || !opts.accept || opts.accept(cached.text))) return cached.text;
+      if (mode === "replay") {
+        errors.push(`${target.name}/${target.model}: нет в кэше`);
+        continue;
+      }
+    }
+
+    if (target.keyRequired && !target.apiKey) {
+      errors.push(`${target.name}: нет ключа`);
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      const { text, usage } = await requestCompletion(target, opts);
+      if ((mode === "record" || ttl) && (!opts.accept || opts.accept(text))) {
+        writeCached(key, target, opts, { text, usage });
+        if (opts.cacheAs) writeCached(cacheKey(target, opts.cacheAs), target, opts.cacheAs, { text, usage });
+      }
+      recordLLMCall({
+        provider: target.name,
+        model: target.model,
+        tag: opts.usageTag,
+        latencyMs: Date.now() - started,
+        // Нет usage в ответе — оцениваем ~4 символа на токен
+        ...(usage || {
+          promptTokens: Math.ceil([opts.system, opts.prompt, ...(opts.history || []).map(h => h.content)].join("").length / 4),
+          completionTokens: Math.ceil(text.length / 4),
+          estimated: true,
+        }),
+      });
+      return text;
+    } catch (err) {
+      recordLLMCall({
+        provider: target.name,
+        model: target.model,
+        tag: opts.usageTag,
+        latencyMs: Date.now() - started,
+        error: err.message.slice(0, 300),
+      });
+      errors.push(`${target.name}/${target.model}: ${err.message}`);
+      if (routes.length > 1) {
+        console.warn(`[LLM] ⚠ ${target.name}/${target.model} не ответил — пробую следующий провайдер`);
+      }
+    }
+  }
+
+  if (mode === "replay") throw new Error(`Промах LLM-кэша (replay): ${errors.join(" | ")}`);
+  throw new Error(`LLM недоступен: ${errors.join(" | ")}`);
+}
+
+/**
+ * Один HTTP-вызов к конкретному провайдеру
+ * @returns {{ text: string, usage: { promptTokens, completionTokens } | null }}
+ */
+async function requestCompletion(target, { system, prompt, history = [], temperature = 0.7, maxTokens = 2000, webSearch = false, json = false }) {
+  const model = target.model || "llama-3.3-70b";
+
+  if (webSearch && !target.capabilities.webSearch) {
+    const key = `${target.name}/${model}`;
+    if (!warnedNoWebSearch.has(key)) {
+      warnedNoWebSearch.add(key);
+      console.warn(`[LLM] ⚠ ${key} не умеет web search — запрос без поиска`);
+    }
+  }
+  const useWebSearch = webSearch && target.capabilities.webSearch;
+  const useJsonMode = json && target.capabilities.jsonMode;
+
+  if (target.type === "anthropic") {
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: "user", content: prompt }, ...history],
+    };
+    if (system) body.system = system;
+    if (useWebSearch) body.tools = [{ type: "web_search_20250305", name: "web_search", max_uses: 5 }];
+
+    const data = await postJson(`${target.baseUrl}/messages`, target, body, {
+      "x-api-key": target.apiKey,
+      "anthropic-version": "2023-06-01",
+    });
+    // Ответ — набор блоков (текст, вызовы web_search); нам нужен только текст
+    return {
+      text: (data.content || []).filter(b => b.type === "text").map(b => b.text).join(""),
+      usage: data.usage
+        ? { promptTokens: data.usage.input_tokens || 0, completionTokens: data.usage.output_tokens || 0 }
+        : null,
+    };
+  }
+
+  // OpenAI-совместимый API (Venice, OpenAI, Ollama, llama.cpp)
+  const messages = [];
+  if (system) messages.push({ role: "system", content: system });
+  messages.push({ role: "user", content: prompt }, ...history);
+
+  const body = {
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+  };
+
+  // Venice web search — модель получает доступ к интернету
+  if (useWebSearch && target.name === "venice") body.web_search = true;
+  if (useJsonMode) body.response_format = { type: "json_object" };
+
+  const headers = target.apiKey ? { Authorization: `Bearer ${target.apiKey}` } : {};
+  const data = await postJson(`${target.baseUrl}/chat/completions`, target, body, headers);
+  return {
+    text: data.choices?.[0]?.message?.content || "",
+    usage: data.usage
+      ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 }
+      : null,
+  };
+}
+
+// LLM отвечает долго (особенно с web search); повтор один — дальше цепочка провайдеров
+const LLM_TIMEOUT_MS = 120_000;
+
+function postJson(url, target, body, headers) {
+  return requestJson(url, {
+    method: "POST",
+    headers,
+    body,
+    timeoutMs: LLM_TIMEOUT_MS,
+    retries: 1,
+    idempotent: true,
+    label: `${target.name} API`,
+  });
+}
+
+/**
+ * Вызов LLM с парсингом JSON ответа
+ * Обрабатывает markdown code blocks, trailing commas.
+ *
+ * Со схемой (opts.schema и/или opts.check) ответ проверяется; невалидный —
+ * отправляется модели обратно со списком ошибок (не больше opts.repairAttempts раз).
+ * Если после ремонта JSON разобрался, но ошибки остались — возвращаем как есть
+ * (validateActions отсеет плохие действия), ошибки пишем в лог.
+ * В кэш LLM попадают только ответы, прошедшие проверку; исправленный — ещё и
+ * под ключом исходного запроса, чтобы TTL и replay сразу отдавали валидный.
+ *
+ * @param {string} apiKey
+ * @param {object} opts — как у callLLM, плюс:
+ * @param {object} [opts.schema] — JSON Schema ответа
+ * @param {Function} [opts.check] — (value) → string[] — проверки, которых нет в схеме
+ * @param {number} [opts.repairAttempts] — сколько раз просить исправить (по умолчанию 1)
+ */
+export async function callLLMJson(apiKey, opts) {
+  const { schema, check, repairAttempts = 1 } = opts;
+  const history = [];
+  let lastParsed;
+  let lastErrors = [];
+
+  const errorsOf = (parsed) => [
+    ...(schema ? validateSchema(parsed, schema) : []),
+    ...(check ? check(parsed) : []),
+  ];
+  const accept = (raw) => {
+    try {
+      return errorsOf(parseJsonResponse(raw)).length === 0;
+    } catch {
+      return false;
+    }
+  };
+  const original = { ...opts, json: true, history: [] };
+
+  for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+    const raw = await callLLM(apiKey, {
+      ...opts,
+      json: true,
+      history,
+      accept,
+      cacheAs: attempt > 0 ? original : undefined,
+    });
+
+    let parsed;
+    try {
+      parsed = parseJsonResponse(raw);
+    } catch (err) {
+      // Последняя попытка не разобралась — отдаём ранее разобранный ответ, если он был
+      if (attempt === repairAttempts) {
+        if (lastParsed === undefined) throw err;
+        break;
+      }
+      history.push({ role: "assistant", content: raw }, { role: "user", content: repairPrompt([err.message]) });
+      continue;
+    }
+
+    lastParsed = parsed;
+    lastErrors = errorsOf(parsed);
+    if (lastErrors.length === 0) return parsed;
+
+    console.warn(`[LLM] ⚠ Ответ не прошёл проверку (попытка ${attempt + 1}/${repairAttempts + 1}):\n  - ${lastErrors.slice(0, 10).join("\n  - ")}`);
+    if (attempt < repairAttempts) {
+      history.push({ role: "assistant", content: raw }, { role: "user", content: repairPrompt(lastErrors) });
+    }
+  }
+
+  console.warn(`[LLM] ⚠ Ремонт не помог — использую ответ с ${lastErrors.length} ошибками`);
+  return lastParsed;
+}
+
+/** Сообщение модели с ошибками валидации */
+function repairPrompt(errors) {
+  return `Your previous response failed validation:
+${errors.slice(0, 20).map(e => `- ${e}`).join("\n")}
+
+Fix these problems and respond again with the complete corrected JSON only — same format, no explanations.`;
+}
+
+/** Разбор JSON из ответа LLM (code fences, trailing commas, комментарии) */
+export function parseJsonResponse(raw) {
+  // Убираем markdown блоки (LLM часто оборачивает JSON в ```json...```)
+  let cleaned = raw.trim();
+  // Извлекаем контент между первым ``` и последним ```
+  const codeBlockMatch = cleaned.match(/```(?:json)?\s*\n?([\s\S]*?)\n?\s*```/);
+  if (codeBlockMatch) {
+    cleaned = codeBlockMatch[1].trim();
+  }
+
+  // Убираем trailing commas перед } или ]
+  cleaned = cleaned.replace(/,\s*([}\]])/g, "$1");
+
+  // Убираем однострочные комментарии
+  cleaned = cleaned.replace(/\/\/.*$/gm, "");
+
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    // Фоллбек: ищем первый { ... } или [ ... ] в тексте
+    const jsonMatch = cleaned.match(/(\{[\s\S]*\}|\[[\s\S]*\])/);
+    if (jsonMatch) {
+      try {
+        let fallback = jsonMatch[1].replace(/,\s*([}\]])/g, "$1").replace(/\/\/.*$/gm, "");
+        return JSON.parse(fallback);
+      } catch { /* ниже бросим ошибку */ }
+    }
+    throw new Error(`Не удалось распарсить JSON от LLM: ${raw.slice(0, 300)}`);
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Parimutuel-математика NearCast
+ *
+ * Победители делят весь пул пропорционально ставкам:
+ * выплата = ставка × totalPool / пул выигравшего исхода.
+ */
+
+const YOCTO_PER_NEAR = 1e24;
+
+/** yoctoNEAR (строка/число/BigInt) → NEAR */
+export function yoctoToNear(yocto) {
+  return Number(yocto || 0) / YOCTO_PER_NEAR;
+}
+
+/**
+ * Выплата по выигравшей ставке (включая саму ставку)
+ * @param {number} amountNear — размер ставки
+ * @param {number} totalPoolNear — весь пул рынка
+ * @param {number} winPoolNear — пул выигравшего исхода
+ */
+export function parimutuelPayout(amountNear, totalPoolNear, winPoolNear) {
+  if (!(winPoolNear > 0)) return 0;
+  return amountNear * totalPoolNear / winPoolNear;
+}
+
+/** Пулы рынка в NEAR: { totalPool, outcomePools[] } */
+export function marketPoolsNear(market) {
+  const outcomePools = (market?.outcomePools || []).map(yoctoToNear);
+  const totalPool = market?.totalPool != null
+    ? yoctoToNear(market.totalPool)
+    : outcomePools.reduce((s, p) => s + p, 0);
+  return { totalPool, outcomePools };
+}